@@ -7,7 +7,7 @@ import { join } from 'path';
 import { createHash } from 'crypto';
 
 const CACHE_FILE = '.ccmds-cache.json';
-const CACHE_VERSION = 1;
+const CACHE_VERSION = 3; // Entries store { results, report }; grep lines count from the top of the file
 
 /**
  * Generate a cache key from command and options
@@ -42,11 +42,24 @@ import {
   getIndexStats,
 
   // Search
-  grepSearch,
+  grepSearchParallel,
   fuzzySearch,
+  parseWhereFilter,
+  matchesWhereFilters,
+  parseSortSpec,
+  resolveOffset,
+  GREP_SCOPES,
 
   // Output
   formatOutput,
+  formatNdjsonRecord,
+  formatNdjsonResults,
+  formatXmlElement,
+  shouldUseColor,
+  fitResultsToBudget,
+  fitTextToBudget,
+  fitOutlineToBudget,
+  describeTruncation,
 
   // Version
   checkForUpdate,
@@ -57,6 +70,210 @@ import { runInteractiveInit } from './init/index.js';
 
 const program = new Command();
 
+/**
+ * Print search report notes (alias expansions, spelling corrections,
+ * suggestions) for non-JSON output modes
+ * JSON output carries the report in the result payload instead
+ * @param {object} report - Search metadata collected during the search
+ * @param {string} outputMode - Output mode
+ */
+function printReportNotes(report, outputMode) {
+  if (outputMode === 'json' || outputMode === 'ndjson') return;
+
+  if (report.expansions) {
+    for (const [term, synonyms] of Object.entries(report.expansions)) {
+      console.error(`Expanded alias: ${term} → ${[term, ...synonyms].join(' | ')}`);
+    }
+  }
+
+  if (report.corrections) {
+    for (const [term, corrected] of Object.entries(report.corrections)) {
+      console.error(`No matches for "${term}", searched for: ${corrected}`);
+    }
+  }
+
+  if (report.warnings) {
+    for (const { message } of report.warnings) {
+      console.error(`Warning: ${message}`);
+    }
+  }
+
+  if (report.truncated) {
+    console.error(describeTruncation(report.truncated));
+  }
+
+  if (report.suggestions) {
+    const { terms, headings } = report.suggestions;
+    if (terms.length > 0) {
+      console.error(`Did you mean: ${terms.join(', ')}?`);
+    }
+    if (headings.length > 0) {
+      console.error('Related headings:');
+      for (const { file, heading } of headings) {
+        console.error(`  ${file}#${heading}`);
+      }
+    }
+  }
+}
+
+/**
+ * Collect a repeatable option into an array
+ * @param {string} value - Option value
+ * @param {string[]} previous - Values collected so far
+ * @returns {string[]}
+ */
+function collect(value, previous = []) {
+  return [...previous, value];
+}
+
+/**
+ * Parse --where filter expressions, exiting on invalid input
+ * @param {string[]} expressions - Raw filter expressions
+ * @returns {Array} - Parsed filters
+ */
+function parseWhereOption(expressions) {
+  return (expressions || []).map((expression) => {
+    const filter = parseWhereFilter(expression);
+    if (!filter) {
+      console.error(`Invalid --where filter: ${expression}`);
+      console.error('Expected key=value, key!=value, key~=value, key>value, key>=value, key<value or key<=value');
+      process.exit(1);
+    }
+    return filter;
+  });
+}
+
+/**
+ * Parse a --sort spec, exiting on invalid or unsupported keys
+ * @param {string} spec - Raw sort spec
+ * @param {string[]} keys - Sort keys supported by the command
+ * @returns {object|undefined} - Parsed sort spec
+ */
+function parseSortOption(spec, keys) {
+  if (spec === undefined) return undefined;
+
+  const sort = parseSortSpec(spec);
+  if (!sort || !keys.includes(sort.key)) {
+    const names = keys.map((k) => (k === 'fm' ? 'fm.<field>' : k));
+    console.error(`Invalid --sort: ${spec}`);
+    console.error(`Expected ${names.join(', ')} (optionally with :asc or :desc)`);
+    process.exit(1);
+  }
+  return sort;
+}
+
+/**
+ * Parse a comma-separated --in scope list, exiting on unknown scopes
+ * @param {string} value - Raw option value, e.g. "code,headings"
+ * @returns {string[]|undefined} - Scopes
+ */
+function parseScopesOption(value) {
+  if (value === undefined) return undefined;
+
+  const scopes = value.split(',').map((scope) => scope.trim().toLowerCase()).filter(Boolean);
+  const unknown = scopes.filter((scope) => !GREP_SCOPES.includes(scope));
+  if (scopes.length === 0 || unknown.length > 0) {
+    console.error(`Invalid --in: ${value}`);
+    console.error(`Expected one or more of ${GREP_SCOPES.join(', ')}`);
+    process.exit(1);
+  }
+  return scopes;
+}
+
+/**
+ * Parse an integer option, exiting on invalid input
+ * @param {string} value - Raw option value
+ * @param {string} name - Option name for error messages
+ * @param {number} min - Minimum allowed value
+ * @returns {number|undefined} - Parsed value
+ */
+function parseIntegerOption(value, name, min) {
+  if (value === undefined) return undefined;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    console.error(`Invalid ${name}: ${value} (expected an integer >= ${min})`);
+    process.exit(1);
+  }
+  return number;
+}
+
+/**
+ * Parse a --jobs value ("auto" or an integer >= 0), exiting on invalid input
+ * @param {string} value - Raw option value
+ * @returns {number|string|undefined} - Worker thread count, or "auto"
+ */
+function parseJobsOption(value) {
+  if (value === 'auto') return value;
+  return parseIntegerOption(value, '--jobs', 0);
+}
+
+/**
+ * Format document outlines for the outline command
+ * @param {Array<{file: string, headings: Array}>} entries - Outline per file
+ * @param {string} mode - Output mode: text, json (one object per line) or ndjson
+ * @returns {string} - Formatted outlines (empty when there are none)
+ */
+function formatOutline(entries, mode) {
+  if (mode === 'json') {
+    return entries.map((entry) => JSON.stringify(entry)).join('\n');
+  }
+  if (mode === 'ndjson') {
+    return entries.map((entry) => formatNdjsonRecord(entry)).join('\n');
+  }
+
+  return entries
+    .map(({ file, headings }) =>
+      [
+        `📄 ${file}`,
+        ...headings.map(
+          (h) => `${'  '.repeat(h.level - 1)}${'#'.repeat(h.level)} ${h.text}`
+        ),
+      ].join('\n')
+    )
+    .join('\n\n');
+}
+
+/**
+ * Resolve the output token budget from --max-tokens or output.maxTokens
+ * @param {string} value - Raw --max-tokens value
+ * @param {object} config - Loaded configuration
+ * @returns {number} - Token budget (0 is unlimited)
+ */
+function resolveMaxTokens(value, config) {
+  return parseIntegerOption(value, '--max-tokens', 0) ?? config.output?.maxTokens ?? 0;
+}
+
+/**
+ * Parse a number between 0 and 1, exiting on invalid input
+ * @param {string} value - Raw option value
+ * @param {string} name - Option name for error messages
+ * @returns {number|undefined} - Parsed value
+ */
+function parseRatioOption(value, name) {
+  if (value === undefined) return undefined;
+
+  const number = Number(value);
+  if (value === '' || !Number.isFinite(number) || number < 0 || number > 1) {
+    console.error(`Invalid ${name}: ${value} (expected a number from 0 to 1)`);
+    process.exit(1);
+  }
+  return number;
+}
+
+/**
+ * Describe the shown slice of results for the summary line
+ * @param {number} total - Total number of results
+ * @param {number} offset - Offset of the first shown result
+ * @param {number} count - Number of shown results
+ * @returns {string} - e.g. " (showing 11-20)", or '' when everything is shown
+ */
+function formatShowing(total, offset, count) {
+  if (offset === 0 && count === total) return '';
+  if (count === 0) return ` (none shown at offset ${offset})`;
+  return ` (showing ${offset + 1}-${offset + count})`;
+}
+
 // ============================================================================
 // Main CLI
 // ============================================================================
@@ -74,19 +291,63 @@ program
 program
   .command('grep')
   .description('Search for exact text patterns (regex supported)')
-  .argument('<query>', 'Search query (regex pattern)')
+  .argument('[query]', 'Search query (regex pattern); omit when using -p')
   .argument('[directories...]', 'Directories to search')
   .option('-c, --context <lines>', 'Lines of context around matches', '2')
   .option('-s, --case-sensitive', 'Case sensitive search', false)
-  .option('-o, --output <mode>', 'Output mode: detailed, compact, files, json')
+  .option('-F, --fixed-strings', 'Treat patterns as literal strings', false)
+  .option('-w, --word', 'Only match whole words', false)
+  .option('-U, --multiline', 'Let patterns match across lines', false)
+  .option('--in <scopes>', `Only match in ${GREP_SCOPES.join(', ')} (comma-separated)`)
+  .option('--lang <name>', 'Only match in fenced code blocks of this language')
+  .option('--under <path>', 'Only match in sections under a heading path, e.g. "Setup > Prerequisites"')
+  .option('-p, --pattern <pattern>', 'Pattern to search for (repeatable, replaces the query)', collect)
+  .option('--all', 'With several patterns, only return files matching all of them', false)
+  .option('-v, --invert-match', 'Select lines that do not match', false)
+  .option('--count', 'Show only per-file counts of matching lines', false)
+  .option('-L, --files-without-match', 'List files without any matching line', false)
+  .option('-m, --max-count <number>', 'Maximum matches per file (0 for unlimited)')
+  .option('--timeout <ms>', 'Stop with partial results after this many milliseconds (0 disables)')
+  .option('-j, --jobs <n>', 'Worker threads ("auto" or 0 for every CPU, 1 for none)')
+  .option('-o, --output <mode>', 'Output mode: detailed, compact, files, json, ndjson, xml, markdown')
+  .option('--max-tokens <n>', 'Trim output to about this many tokens (0 for unlimited)')
   .option('-r, --raw', 'Disable smart context (use line-based context)', false)
   .option('-l, --limit <number>', 'Maximum files to return')
   .option('-e, --exclude <patterns...>', 'Exclude patterns (glob syntax)')
   .option('--doc <name>', 'Search only in named documentation (prefix match)')
-  .action((query, directories, options) => {
+  .option('--no-aliases', 'Do not expand config aliases')
+  .option('--where <filter>', 'Frontmatter filter, e.g. status=draft (repeatable)', collect)
+  .option('--sort <key>', 'Sort by path, mtime, title, matches or fm.<field> (append :asc or :desc)')
+  .option('--offset <number>', 'Skip the first results')
+  .option('--page <number>', 'Page of results (page size is --limit, default from config)')
+  .action(async (query, directories, options) => {
     const globalOpts = program.opts();
     const config = loadConfig(globalOpts);
 
+    // With -p patterns every positional argument is a directory (like ripgrep -e)
+    if (options.pattern && query !== undefined) {
+      directories = [query, ...directories];
+    }
+    const patterns = options.pattern || (query !== undefined ? [query] : []);
+    if (patterns.length === 0) {
+      console.error('Missing search pattern: pass a query or -p <pattern>');
+      process.exit(1);
+    }
+    if (options.count && options.filesWithoutMatch) {
+      console.error('--count and --files-without-match cannot be combined');
+      process.exit(1);
+    }
+
+    const scopes = parseScopesOption(options.in);
+    const maxMatchesPerFile = parseIntegerOption(options.maxCount, '--max-count', 0);
+    const timeout = parseIntegerOption(options.timeout, '--timeout', 0);
+    const jobs = parseJobsOption(options.jobs) ?? config.jobs;
+    const maxTokens = resolveMaxTokens(options.maxTokens, config);
+    const where = parseWhereOption(options.where);
+    const sort = parseSortOption(options.sort, ['path', 'mtime', 'title', 'matches', 'fm']);
+    const page = parseIntegerOption(options.page, '--page', 1);
+    const paged = options.offset !== undefined || page !== undefined || sort !== undefined;
+
     // Clear cache if requested
     if (globalOpts.clearCache) {
       clearIndexCache(config);
@@ -103,12 +364,52 @@ program
 
     // Check cache (use resolved paths for cache key)
     const cacheKey = generateCacheKey('grep', {
-      query,
+      patterns,
       dirs: dirs.map((d) => d.resolvedPath).sort(),
       caseSensitive: options.caseSensitive,
+      fixedStrings: options.fixedStrings,
+      word: options.word,
+      multiline: options.multiline,
+      scopes,
+      lang: options.lang,
+      under: options.under,
+      all: options.all,
+      invert: options.invertMatch,
+      count: options.count,
+      filesWithoutMatch: options.filesWithoutMatch,
+      maxMatchesPerFile,
       exclude: excludePatterns.sort(),
+      aliases: options.aliases,
+      where: options.where || [],
+      sort: options.sort,
+    });
+    const cached = getCachedResult(config, cacheKey);
+    let results = cached?.results;
+    let report = cached?.report || {};
+
+    // Apply offset and limit (pages default to the configured limit)
+    const limit = options.limit
+      ? parseInt(options.limit)
+      : page !== undefined
+        ? config.limit
+        : null;
+    const offset = resolveOffset({
+      offset: parseIntegerOption(options.offset, '--offset', 0),
+      page,
+      limit,
     });
-    let results = getCachedResult(config, cacheKey);
+
+    // NDJSON prints unsorted results as soon as their files are searched
+    // (a token budget needs every result before it can trim)
+    const streaming = outputMode === 'ndjson' && !sort && !results && !maxTokens;
+    let position = 0;
+    const printResults = (batch) => {
+      const shown = batch.filter(() => {
+        const index = position++;
+        return index >= offset && (!limit || index < offset + limit);
+      });
+      if (shown.length > 0) console.log(formatNdjsonResults(shown));
+    };
 
     if (!results) {
       const files = findMarkdownFilesFromDirs(dirs, {
@@ -116,23 +417,73 @@ program
         extensions: config.extensions,
       });
 
-      results = grepSearch(files, query, {
+      results = await grepSearchParallel(files, patterns.length === 1 ? patterns[0] : patterns, {
+        jobs,
+        onResults: streaming ? printResults : undefined,
         context: parseInt(options.context),
         caseSensitive: options.caseSensitive,
+        fixedStrings: options.fixedStrings,
+        word: options.word,
+        multiline: options.multiline,
+        scopes,
+        lang: options.lang,
+        under: options.under,
+        all: options.all,
+        invert: options.invertMatch,
+        count: options.count,
+        filesWithoutMatch: options.filesWithoutMatch,
+        maxMatchesPerFile,
+        timeout,
         raw: options.raw,
         config,
+        aliases: options.aliases,
+        where,
+        sort,
+        report,
       });
 
-      setCachedResult(config, cacheKey, 'grep', results);
+      // Partial results from a timed-out search are not cached
+      if (!report.warnings?.some((warning) => warning.code === 'timeout')) {
+        setCachedResult(config, cacheKey, 'grep', { results, report });
+      }
     }
 
-    // Apply limit if specified
-    const limit = options.limit ? parseInt(options.limit) : null;
-    const limitedResults = limit ? results.slice(0, limit) : results;
+    const budget = fitResultsToBudget(
+      results.slice(offset, limit ? offset + limit : undefined),
+      maxTokens,
+      outputMode
+    );
+    const pageResults = budget.results;
+    const total = results.length;
+
+    // JSON output carries total counts when paging or sorting, and what the
+    // token budget trimmed
+    if (budget.truncated) report = { ...report, truncated: budget.truncated };
+    const outputReport = paged ? { ...report, total, offset, limit } : report;
+
+    // The summary record replaces the footer in NDJSON output
+    if (outputMode === 'ndjson') {
+      console.log(
+        streaming
+          ? formatNdjsonRecord({ total, ...outputReport }, 'summary')
+          : formatOutput(pageResults, outputMode, { total, ...outputReport })
+      );
+      return;
+    }
 
-    console.log(formatOutput(limitedResults, outputMode));
+    printReportNotes(report, outputMode);
+    console.log(
+      formatOutput(pageResults, outputMode, outputReport, {
+        color: shouldUseColor(),
+      })
+    );
+    const summary = options.filesWithoutMatch
+      ? `${total} file(s) without matches`
+      : options.count
+        ? `${total} file(s) with ${results.reduce((sum, r) => sum + r.count, 0)} matching line(s)`
+        : `${total} file(s) with matches`;
     console.log(
-      `\n✓ Found ${results.length} file(s) with matches${limit && results.length > limit ? ` (showing ${limit})` : ''}`
+      `\n✓ Found ${summary}${formatShowing(total, offset, pageResults.length)}`
     );
   });
 
@@ -142,7 +493,8 @@ program
   .argument('<query>', 'Search query')
   .argument('[directories...]', 'Directories to search')
   .option('-l, --limit <number>', 'Maximum results to return')
-  .option('-o, --output <mode>', 'Output mode: detailed, compact, files, json')
+  .option('-o, --output <mode>', 'Output mode: detailed, compact, files, json, ndjson, xml, markdown')
+  .option('--max-tokens <n>', 'Trim output to about this many tokens (0 for unlimited)')
   .option(
     '-r, --raw',
     'Disable adaptive previews and frontmatter filtering',
@@ -151,9 +503,25 @@ program
   .option('-e, --exclude <patterns...>', 'Exclude patterns (glob syntax)')
   .option('--doc <name>', 'Search only in named documentation (prefix match)')
   .option('--rebuild-index', 'Force rebuild of search index', false)
+  .option('-j, --jobs <n>', 'Worker threads for index building ("auto" or 0 for every CPU)')
+  .option('--sections', 'Search heading sections instead of whole files')
+  .option('--under <path>', 'Only return sections under a heading path, e.g. "Setup > Prerequisites" (implies --sections)')
+  .option('--no-aliases', 'Do not expand config aliases')
+  .option('--where <filter>', 'Frontmatter filter, e.g. category=guide (repeatable)', collect)
+  .option('--sort <key>', 'Sort by score, path, mtime, title or fm.<field> (append :asc or :desc)')
+  .option('--offset <number>', 'Skip the first results')
+  .option('--page <number>', 'Page of results (page size is --limit)')
+  .option('--explain', 'Show how each result was scored', false)
+  .option('--min-score <number>', 'Minimum relevance from 0 to 1, relative to the best match')
   .action(async (query, directories, options) => {
     const globalOpts = program.opts();
     const config = loadConfig(globalOpts);
+    const minScore = parseRatioOption(options.minScore, '--min-score');
+    const maxTokens = resolveMaxTokens(options.maxTokens, config);
+    const where = parseWhereOption(options.where);
+    const sort = parseSortOption(options.sort, ['score', 'path', 'mtime', 'title', 'fm']);
+    const page = parseIntegerOption(options.page, '--page', 1);
+    const paged = options.offset !== undefined || page !== undefined || sort !== undefined;
 
     // Clear cache if requested
     if (globalOpts.clearCache) {
@@ -163,6 +531,12 @@ program
     const dirs = resolveDirectories(directories, config, options.doc);
     const outputMode = options.output || config.outputMode;
     const limit = options.limit ? parseInt(options.limit) : config.limit;
+    const offset = resolveOffset({
+      offset: parseIntegerOption(options.offset, '--offset', 0),
+      page,
+      limit,
+    });
+    const sections = Boolean(options.under) || (options.sections ?? config.index?.sections ?? false);
 
     // Merge exclude patterns from CLI and config
     const excludePatterns = [
@@ -175,9 +549,19 @@ program
       query,
       dirs: dirs.map((d) => d.resolvedPath).sort(),
       limit,
+      offset,
       exclude: excludePatterns.sort(),
+      sections,
+      under: options.under,
+      aliases: options.aliases,
+      where: options.where || [],
+      sort: options.sort,
+      explain: options.explain,
+      minScore,
     });
-    let results = getCachedResult(config, cacheKey);
+    const cached = getCachedResult(config, cacheKey);
+    let results = cached?.results;
+    let report = cached?.report || {};
 
     if (!results) {
       const files = findMarkdownFilesFromDirs(dirs, {
@@ -187,16 +571,48 @@ program
 
       results = await fuzzySearch(files, query, {
         limit,
+        offset,
+        sort,
         raw: options.raw,
         config,
         rebuildIndex: options.rebuildIndex || globalOpts.clearCache,
+        jobs: parseJobsOption(options.jobs) ?? config.jobs,
+        sections,
+        under: options.under,
+        aliases: options.aliases,
+        where,
+        explain: options.explain,
+        minScore,
+        report,
       });
 
-      setCachedResult(config, cacheKey, 'find', results);
+      setCachedResult(config, cacheKey, 'find', { results, report });
     }
 
-    console.log(formatOutput(results, outputMode));
-    console.log(`\n✓ Found ${results.length} relevant document(s)`);
+    const budget = fitResultsToBudget(results, maxTokens, outputMode);
+    if (budget.truncated) report = { ...report, truncated: budget.truncated };
+    const { total = results.length, ...notes } = report;
+    results = budget.results;
+
+    // JSON output carries total counts when paging or sorting, and what the
+    // token budget trimmed
+    const outputReport = paged ? { ...notes, total, offset, limit } : notes;
+
+    // The summary record replaces the footer in NDJSON output
+    if (outputMode === 'ndjson') {
+      console.log(formatOutput(results, outputMode, { total, ...outputReport }));
+      return;
+    }
+
+    printReportNotes(report, outputMode);
+    console.log(
+      formatOutput(results, outputMode, outputReport, {
+        color: shouldUseColor(),
+      })
+    );
+    console.log(
+      `\n✓ Found ${total} relevant ${sections ? 'section(s)' : 'document(s)'}${formatShowing(total, offset, results.length)}`
+    );
   });
 
 program
@@ -206,10 +622,13 @@ program
   .option('-c, --count', 'Show only count', false)
   .option('-e, --exclude <patterns...>', 'Exclude patterns (glob syntax)')
   .option('--doc <name>', 'List only from named documentation (prefix match)')
+  .option('--where <filter>', 'Frontmatter filter, e.g. status=draft (repeatable)', collect)
+  .option('-o, --output <mode>', 'Output mode: text, ndjson', 'text')
   .action((directories, options) => {
     const globalOpts = program.opts();
     const config = loadConfig(globalOpts);
     const dirs = resolveDirectories(directories, config, options.doc);
+    const where = parseWhereOption(options.where);
 
     // Merge exclude patterns from CLI and config
     const excludePatterns = [
@@ -221,11 +640,27 @@ program
       exclude: excludePatterns,
       extensions: config.extensions,
     });
+    const ndjson = options.output === 'ndjson';
+
+    // Files are printed as soon as they pass the filters
+    let total = 0;
+    for (const f of files) {
+      if (
+        where.length > 0 &&
+        !matchesWhereFilters(parseMarkdownFile(f.path).frontmatter, where)
+      ) {
+        continue;
+      }
+      total++;
+      if (!options.count) {
+        console.log(ndjson ? formatNdjsonRecord({ file: f.relativePath }) : f.relativePath);
+      }
+    }
 
-    if (options.count) {
-      console.log(files.length);
-    } else {
-      files.forEach((f) => console.log(f.relativePath));
+    if (ndjson) {
+      console.log(formatNdjsonRecord({ total }, 'summary'));
+    } else if (options.count) {
+      console.log(total);
     }
   });
 
@@ -235,16 +670,28 @@ program
   .argument('<file>', 'File path')
   .option('-f, --frontmatter-only', 'Show only frontmatter', false)
   .option('-b, --body-only', 'Show only body content', false)
+  .option('-o, --output <mode>', 'Output mode: text, xml', 'text')
+  .option('--max-tokens <n>', 'Trim content to about this many tokens (0 for unlimited)')
   .action((file, options) => {
+    const config = loadConfig(program.opts());
+    const maxTokens = resolveMaxTokens(options.maxTokens, config);
     const parsed = parseMarkdownFile(file);
 
     if (options.frontmatterOnly) {
       console.log(JSON.stringify(parsed.frontmatter, null, 2));
-    } else if (options.bodyOnly) {
-      console.log(parsed.body);
-    } else {
-      console.log(parsed.fullContent);
+      return;
     }
+
+    const budget = fitTextToBudget(
+      options.bodyOnly ? parsed.body : parsed.fullContent,
+      maxTokens
+    );
+    if (budget.truncated) console.error(describeTruncation(budget.truncated));
+    console.log(
+      options.output === 'xml'
+        ? formatXmlElement('document', { path: file, title: parsed.frontmatter.title }, budget.text)
+        : budget.text
+    );
   });
 
 program
@@ -252,12 +699,13 @@ program
   .description('Show document structure (headings only)')
   .argument('[paths...]', 'File or directory paths')
   .option('-d, --depth <number>', 'Maximum heading depth', '6')
-  .option('-o, --output <mode>', 'Output mode: text, json', 'text')
+  .option('-o, --output <mode>', 'Output mode: text, json, ndjson', 'text')
   .option('-e, --exclude <patterns...>', 'Exclude patterns (glob syntax)')
   .option(
     '--doc <name>',
     'Show outline only from named documentation (prefix match)'
   )
+  .option('--max-tokens <n>', 'Trim output to about this many tokens (0 for unlimited)')
   .action((paths, options) => {
     const globalOpts = program.opts();
     const config = loadConfig(globalOpts);
@@ -274,61 +722,62 @@ program
       ...(options.exclude || []),
     ];
 
+    const maxTokens = resolveMaxTokens(options.maxTokens, config);
+    const format = (es) => formatOutline(es, options.output);
+    const textMode = options.output !== 'json' && options.output !== 'ndjson';
+
+    // Each outline is printed as soon as its file is parsed, unless a token
+    // budget needs all of them first
+    const entries = [];
+    let total = 0;
+    const addEntry = (entry) => {
+      total++;
+      if (maxTokens) {
+        entries.push(entry);
+      } else {
+        console.log(`${textMode && total > 1 ? '\n' : ''}${format([entry])}`);
+      }
+    };
+
     for (const targetPath of targetPaths) {
       try {
-        const stat = statSync(targetPath);
-
-        if (stat.isFile()) {
-          const parsed = parseMarkdownFile(targetPath);
-          const lines = parsed.body.split('\n');
+        const files = statSync(targetPath).isFile()
+          ? [{ path: targetPath, display: targetPath }]
+          : findMarkdownFiles(targetPath, targetPath, {
+              exclude: excludePatterns,
+              extensions: config.extensions,
+            }).map((file) => ({
+              path: file.path,
+              // Format path based on config
+              display: formatOutputPath(file.path, file.relativePath, config),
+            }));
+
+        for (const file of files) {
+          const lines = parseMarkdownFile(file.path).body.split('\n');
           const headings = extractHeadings(lines).filter(
             (h) => h.level <= maxDepth
           );
-
-          if (options.output === 'json') {
-            console.log(JSON.stringify({ file: targetPath, headings }));
-          } else {
-            console.log(`📄 ${targetPath}`);
-            headings.forEach((h) => {
-              console.log(
-                `${'  '.repeat(h.level - 1)}${'#'.repeat(h.level)} ${h.text}`
-              );
-            });
-          }
-        } else {
-          const files = findMarkdownFiles(targetPath, targetPath, {
-            exclude: excludePatterns,
-            extensions: config.extensions,
-          });
-          files.forEach((file) => {
-            const parsed = parseMarkdownFile(file.path);
-            const lines = parsed.body.split('\n');
-            const headings = extractHeadings(lines).filter(
-              (h) => h.level <= maxDepth
-            );
-            // Format path based on config
-            const displayPath = formatOutputPath(
-              file.path,
-              file.relativePath,
-              config
-            );
-
-            if (options.output === 'json') {
-              console.log(JSON.stringify({ file: displayPath, headings }));
-            } else {
-              console.log(`\n📄 ${displayPath}`);
-              headings.forEach((h) => {
-                console.log(
-                  `${'  '.repeat(h.level - 1)}${'#'.repeat(h.level)} ${h.text}`
-                );
-              });
-            }
-          });
+          addEntry({ file: file.display, headings });
         }
       } catch (err) {
         console.error(`Error reading path '${targetPath}': ${err.message}`);
       }
     }
+
+    let truncated = null;
+    if (maxTokens) {
+      const budget = fitOutlineToBudget(entries, maxTokens, format);
+      truncated = budget.truncated;
+      const output = format(budget.entries);
+      if (output) console.log(output);
+    }
+
+    // JSON prints one object per file, so a trim is only reported on stderr
+    if (options.output === 'ndjson') {
+      console.log(formatNdjsonRecord({ total, truncated: truncated || undefined }, 'summary'));
+    } else if (truncated) {
+      console.error(describeTruncation(truncated));
+    }
   });
 
 program
@@ -339,8 +788,11 @@ program
     '<heading>',
     'Heading text or path (e.g., "Installation" or "Setup > Prerequisites")'
   )
-  .option('-o, --output <mode>', 'Output mode: text, json', 'text')
+  .option('-o, --output <mode>', 'Output mode: text, json, xml', 'text')
+  .option('--max-tokens <n>', 'Trim content to about this many tokens (0 for unlimited)')
   .action((file, heading, options) => {
+    const config = loadConfig(program.opts());
+    const maxTokens = resolveMaxTokens(options.maxTokens, config);
     const parsed = parseMarkdownFile(file);
     const lines = parsed.body.split('\n');
     const headings = extractHeadings(lines);
@@ -351,10 +803,21 @@ program
       process.exit(1);
     }
 
+    const { text: content, truncated } = fitTextToBudget(sectionContent, maxTokens);
     if (options.output === 'json') {
-      console.log(JSON.stringify({ file, heading, content: sectionContent }));
+      console.log(JSON.stringify({ file, heading, content, truncated: truncated || undefined }));
+    } else if (options.output === 'xml') {
+      if (truncated) console.error(describeTruncation(truncated));
+      console.log(
+        formatXmlElement(
+          'document',
+          { path: file, title: parsed.frontmatter.title },
+          formatXmlElement('section', { heading }, content)
+        )
+      );
     } else {
-      console.log(sectionContent);
+      if (truncated) console.error(describeTruncation(truncated));
+      console.log(content);
     }
   });
 
@@ -506,6 +969,7 @@ program
   .description('Manage search index')
   .argument('[action]', 'Action: clear, stats, rebuild (default: stats)')
   .option('--doc <name>', 'Target specific documentation (prefix match)')
+  .option('-j, --jobs <n>', 'Worker threads for rebuilding ("auto" or 0 for every CPU)')
   .action(async (action = 'stats', options) => {
     const globalOpts = program.opts();
     const config = loadConfig(globalOpts);
@@ -527,7 +991,10 @@ program
       });
 
       console.log(`Rebuilding index for ${files.length} files...`);
-      await buildOrLoadIndex(files, config, true);
+      await buildOrLoadIndex(files, config, {
+        forceRebuild: true,
+        jobs: parseJobsOption(options.jobs) ?? config.jobs,
+      });
       console.log('Index rebuilt successfully');
     } else if (action === 'stats') {
       const stats = getIndexStats(config);
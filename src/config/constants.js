@@ -15,6 +15,7 @@ export const DEFAULT_CONFIG = {
   limit: 10,
   fuzzy: {
     threshold: 0.4,
+    minScore: 0,
     ignoreLocation: true,
     ignoreFieldNorm: true,
     distance: 100,
@@ -40,7 +41,21 @@ export const DEFAULT_CONFIG = {
     'keywords',
   ],
   extensions: ['.md', '.markdown'],
+  // Files larger than this (bytes) are skipped by grep; 0 disables the limit
+  maxFileSize: 5 * 1024 * 1024,
   aliases: {},
+  // Worker threads for grep and index building; 1 runs on the main thread, 0 uses every CPU
+  jobs: 1,
+  output: {
+    // Approximate token budget for command output; 0 is unlimited
+    maxTokens: 0,
+  },
+  grep: {
+    // Milliseconds before a search stops with partial results; 0 disables
+    timeout: 0,
+    // Matching lines reported per file; 0 is unlimited
+    maxMatchesPerFile: 0,
+  },
   cache: {
     enabled: false,
     ttl: 300,
@@ -50,6 +65,7 @@ export const DEFAULT_CONFIG = {
     enabled: true,
     path: '.ccmds-flexsearch/',
     autoRebuild: true,
+    sections: false,
   },
 };
 
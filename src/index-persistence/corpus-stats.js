@@ -0,0 +1,78 @@
+/**
+ * Corpus statistics for relevance scoring
+ *
+ * Collects per-document term frequencies and field lengths plus a
+ * corpus-wide vocabulary, computed from the indexed documents
+ */
+
+// Document fields that take part in relevance scoring
+export const SCORED_FIELDS = ['title', 'description', 'tags', 'body'];
+
+/**
+ * Split text into lowercase word tokens
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} - Array of tokens
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  return String(text).toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+/**
+ * Compute term frequencies and length for a single field
+ * @param {string} text - Field text
+ * @returns {{tf: Map<string, number>, length: number}}
+ */
+function computeFieldStats(text) {
+  const tokens = tokenize(text);
+  const tf = new Map();
+  for (const token of tokens) {
+    tf.set(token, (tf.get(token) || 0) + 1);
+  }
+  return { tf, length: tokens.length };
+}
+
+/**
+ * Build corpus statistics from indexed documents
+ * @param {Array} documents - Indexed documents (id, title, description, tags, body)
+ * @returns {{documentCount: number, avgFieldLengths: object, documents: Map, vocabulary: Map<string, Set<string>>}}
+ */
+export function buildCorpusStats(documents) {
+  const docStats = new Map();
+  const vocabulary = new Map();
+  const totalLengths = Object.fromEntries(SCORED_FIELDS.map((f) => [f, 0]));
+
+  for (const doc of documents) {
+    const fields = {};
+    for (const field of SCORED_FIELDS) {
+      const stats = computeFieldStats(doc[field]);
+      fields[field] = stats;
+      totalLengths[field] += stats.length;
+
+      for (const token of stats.tf.keys()) {
+        let postings = vocabulary.get(token);
+        if (!postings) {
+          postings = new Set();
+          vocabulary.set(token, postings);
+        }
+        postings.add(doc.id);
+      }
+    }
+    docStats.set(doc.id, fields);
+  }
+
+  const documentCount = documents.length;
+  const avgFieldLengths = {};
+  for (const field of SCORED_FIELDS) {
+    avgFieldLengths[field] = documentCount
+      ? Math.max(1, totalLengths[field] / documentCount)
+      : 1;
+  }
+
+  return {
+    documentCount,
+    avgFieldLengths,
+    documents: docStats,
+    vocabulary,
+  };
+}
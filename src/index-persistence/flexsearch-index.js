@@ -20,9 +20,15 @@ import { createHash } from 'crypto';
 import { Document } from 'flexsearch';
 import { DEFAULT_CONFIG } from '../config/constants.js';
 import { parseMarkdownFile } from '../parsing/markdown.js';
-import { extractFirstHeading } from '../parsing/headings.js';
+import {
+  extractFirstHeading,
+  extractHeadings,
+  buildHeadingPath,
+} from '../parsing/headings.js';
+import { buildCorpusStats } from './corpus-stats.js';
+import { createWorkerPool, runChunked, resolveJobs, DEFAULT_CHUNK_SIZE } from '../workers/pool.js';
 
-export const INDEX_VERSION = 5; // Bumped for FlexSearch-only storage
+export const INDEX_VERSION = 6; // Bumped for file line numbers in section ranges
 
 // In-memory caches
 let indexCache = null;
@@ -39,6 +45,16 @@ export function getFlexSearchExportPath(config) {
   return join(baseDir, '.ccmds-flexsearch');
 }
 
+/**
+ * Get storage directory for the section-level index
+ * Kept next to the file-level index so both modes can be cached side by side
+ * @param {object} config - Configuration object
+ * @returns {string} - Section index storage directory path
+ */
+export function getSectionIndexExportPath(config) {
+  return join(getFlexSearchExportPath(config), 'sections');
+}
+
 // Legacy exports for compatibility
 export const getIndexFilePath = getFlexSearchExportPath;
 export const getIndexMetaPath = getFlexSearchExportPath;
@@ -164,18 +180,39 @@ function detectChanges(files, storedHashes) {
   return { changed, added, removed, unchanged };
 }
 
+/**
+ * Resolve field weights from config, filling in missing fields with defaults
+ * @param {object} config - Configuration object
+ * @returns {{title: number, description: number, tags: number, body: number}} - Field weights
+ */
+export function resolveFieldWeights(config) {
+  const fuzzyConfig = config?.fuzzy || DEFAULT_CONFIG.fuzzy;
+  return { ...DEFAULT_CONFIG.fuzzy.weights, ...(fuzzyConfig.weights || {}) };
+}
+
+/**
+ * Map a field weight to a FlexSearch resolution (1-9)
+ * Default weights map to the original resolutions: 2 -> 9, 1.5 -> 6, 1 -> 3
+ * @param {number} weight - Field weight
+ * @returns {number} - FlexSearch resolution
+ */
+function weightToResolution(weight) {
+  const resolution = Math.round(6 * weight - 3);
+  return Math.min(9, Math.max(1, resolution));
+}
+
 /**
  * Build FlexSearch keys configuration from weights
  * @param {object} weights - Field weights
  * @returns {Array} - FlexSearch index field configuration
  */
-export function buildFlexSearchFields(weights) {
-  return [
-    { field: 'title', tokenize: 'forward', resolution: 9 },
-    { field: 'description', tokenize: 'forward', resolution: 6 },
-    { field: 'tags', tokenize: 'forward', resolution: 6 },
-    { field: 'body', tokenize: 'forward', resolution: 3 },
-  ];
+export function buildFlexSearchFields(weights = DEFAULT_CONFIG.fuzzy.weights) {
+  const resolved = { ...DEFAULT_CONFIG.fuzzy.weights, ...weights };
+  return ['title', 'description', 'tags', 'body'].map((field) => ({
+    field,
+    tokenize: 'forward',
+    resolution: weightToResolution(resolved[field]),
+  }));
 }
 
 // Legacy export for compatibility
@@ -187,8 +224,7 @@ export const buildFuseKeys = buildFlexSearchFields;
  * @returns {Document} - FlexSearch Document instance
  */
 function createFlexSearchIndex(config) {
-  const fuzzyConfig = config.fuzzy || DEFAULT_CONFIG.fuzzy;
-  const weights = fuzzyConfig.weights || DEFAULT_CONFIG.fuzzy.weights;
+  const weights = resolveFieldWeights(config);
 
   return new Document({
     tokenize: 'forward',
@@ -197,6 +233,7 @@ function createFlexSearchIndex(config) {
       id: 'id',
       index: buildFlexSearchFields(weights),
       store: [
+        'path',
         'file',
         'title',
         'body',
@@ -204,6 +241,10 @@ function createFlexSearchIndex(config) {
         'tags',
         'frontmatter',
         'hash',
+        'heading',
+        'headingPath',
+        'range',
+        'docTitle',
       ],
     },
   });
@@ -213,10 +254,10 @@ function createFlexSearchIndex(config) {
  * Parse a single file into a document
  * @param {object} file - File object with path and relativePath
  * @param {string} hash - File hash
+ * @param {object} parsed - From parseMarkdownFile (default: the file is parsed)
  * @returns {object} - Parsed document
  */
-function parseFileToDocument(file, hash) {
-  const parsed = parseMarkdownFile(file.path);
+function parseFileToDocument(file, hash, parsed = parseMarkdownFile(file.path)) {
   const title =
     parsed.frontmatter.title ||
     extractFirstHeading(parsed.body) ||
@@ -224,6 +265,7 @@ function parseFileToDocument(file, hash) {
 
   return {
     id: file.path,
+    path: file.path,
     file: file.relativePath,
     title,
     body: parsed.body,
@@ -236,6 +278,107 @@ function parseFileToDocument(file, hash) {
   };
 }
 
+/**
+ * Parse a single file into one document per heading section
+ * Each section runs from its heading to the next heading of any level;
+ * content before the first heading becomes a section with an empty heading.
+ * Ranges and ids use file line numbers, so they count frontmatter lines too.
+ * @param {object} file - File object with path and relativePath
+ * @param {string} hash - File hash
+ * @returns {Array} - Parsed section documents
+ */
+function parseFileToSectionDocuments(file, hash) {
+  const parsed = parseMarkdownFile(file.path);
+  const fileDoc = parseFileToDocument(file, hash, parsed);
+  const offset = parsed.bodyLineOffset;
+  const lines = fileDoc.body.split('\n');
+  const headings = extractHeadings(lines);
+  const sections = [];
+
+  const boundaries = [
+    { line: 0, heading: null },
+    ...headings.map((h) => ({ line: h.line, heading: h })),
+  ];
+
+  for (let i = 0; i < boundaries.length; i++) {
+    const start = boundaries[i].line;
+    const end = i + 1 < boundaries.length ? boundaries[i + 1].line : lines.length;
+    const heading = boundaries[i].heading;
+    const body = lines.slice(start, end).join('\n');
+
+    // Skip empty preamble (file starts with a heading or blank lines)
+    if (!heading && (end === start || body.trim() === '')) continue;
+
+    const headingPath = heading ? buildHeadingPath(headings, heading.line + 1) : '';
+
+    // The frontmatter description describes the whole file, not each section
+    sections.push({
+      ...fileDoc,
+      id: `${file.path}#L${start + 1 + offset}`,
+      title: heading ? heading.text : fileDoc.title,
+      description: '',
+      body,
+      heading: headingPath
+        .split(' > ')
+        .map((part) => part.replace(/^#+\s*/, ''))
+        .join(' > '),
+      headingPath,
+      range: { start: start + 1 + offset, end: end + offset },
+      docTitle: fileDoc.title,
+    });
+  }
+
+  return sections;
+}
+
+/**
+ * Parse a single file into indexable documents
+ * @param {object} file - File object with path and relativePath
+ * @param {string} hash - File hash
+ * @param {boolean} sections - Index each heading section as its own document
+ * @returns {Array} - Parsed documents
+ */
+function parseFileToDocuments(file, hash, sections) {
+  return sections
+    ? parseFileToSectionDocuments(file, hash)
+    : [parseFileToDocument(file, hash)];
+}
+
+/**
+ * Hash and parse files into indexable documents
+ * @param {Array} files - File objects with path and relativePath
+ * @param {boolean} sections - Index each heading section as its own document
+ * @returns {Array<{hash: string, docs: Array}>} - One entry per file, in order
+ */
+export function parseIndexDocuments(files, sections) {
+  return files.map((file) => {
+    const hash = computeFileHash(file.path);
+    return { hash, docs: parseFileToDocuments(file, hash, sections) };
+  });
+}
+
+/**
+ * Hash and parse files for indexing, across worker threads when jobs > 1
+ * @param {Array} files - File objects with path and relativePath
+ * @param {boolean} sections - Index each heading section as its own document
+ * @param {number|string} jobs - Worker threads (see resolveJobs)
+ * @returns {Promise<Array<{hash: string, docs: Array}>>} - One entry per file, in order
+ */
+async function parseIndexDocumentsParallel(files, sections, jobs) {
+  const threads = Math.min(resolveJobs(jobs), Math.ceil(files.length / DEFAULT_CHUNK_SIZE));
+  if (threads <= 1) return parseIndexDocuments(files, sections);
+
+  const pool = createWorkerPool(threads);
+  try {
+    const chunks = await runChunked(pool, 'index-documents', files, {
+      payload: { sections },
+    });
+    return chunks.flat();
+  } finally {
+    await pool.close();
+  }
+}
+
 /**
  * Export FlexSearch index to disk
  * @param {Document} index - FlexSearch Document instance
@@ -245,6 +388,13 @@ function parseFileToDocument(file, hash) {
 async function exportFlexSearchIndex(index, exportPath, meta) {
   mkdirSync(exportPath, { recursive: true });
 
+  // Remove previous segments so chunks that no longer exist are not re-imported
+  for (const file of readdirSync(exportPath)) {
+    if (file.endsWith('.json') && file !== 'meta.json') {
+      rmSync(join(exportPath, file));
+    }
+  }
+
   // FlexSearch async export with sync file writes
   // Wait for all export chunks to complete
   await index.export((key, data) => {
@@ -303,10 +453,16 @@ function loadDocumentsFromIndex(index, meta) {
   const paths = Object.keys(meta.hashes || {});
 
   for (const path of paths) {
-    const doc = index.get(path);
-    if (doc) {
-      documents.push({
-        id: path,
+    // Section indexes store several documents per file
+    const ids = meta.documentIds?.[path] || [path];
+
+    for (const id of ids) {
+      const doc = index.get(id);
+      if (!doc) continue;
+
+      const document = {
+        id,
+        path,
         file: doc.file,
         title: doc.title,
         body: doc.body,
@@ -314,19 +470,123 @@ function loadDocumentsFromIndex(index, meta) {
         tags: doc.tags || '',
         frontmatter: doc.frontmatter || {},
         hash: doc.hash,
-      });
+      };
+
+      if (doc.range) {
+        document.heading = doc.heading || '';
+        document.headingPath = doc.headingPath || '';
+        document.range = doc.range;
+        document.docTitle = doc.docTitle;
+      }
+
+      documents.push(document);
     }
   }
 
   return documents;
 }
 
+/**
+ * Build index metadata
+ * @param {object} config - Configuration object
+ * @param {object} hashes - Map of file path to hash
+ * @param {object|null} documentIds - Map of file path to document ids (section indexes only)
+ * @returns {object} - Metadata object
+ */
+function buildMeta(config, hashes, documentIds) {
+  const meta = {
+    version: INDEX_VERSION,
+    timestamp: Date.now(),
+    fileCount: Object.keys(hashes).length,
+    weights: resolveFieldWeights(config),
+    hashes,
+  };
+
+  if (documentIds) {
+    meta.documentIds = documentIds;
+  }
+
+  return meta;
+}
+
+/**
+ * Apply detected file changes to the persisted index and re-export it
+ * @param {object} config - Configuration object
+ * @param {string} exportPath - FlexSearch storage directory
+ * @param {object} meta - Previously saved metadata
+ * @param {object} changes - Result of detectChanges()
+ * @param {object} options - Options (silent: boolean, sections: boolean, jobs: number)
+ * @returns {Promise<object|null>} - Index result with a changes summary, or null if the index could not be imported
+ */
+async function updateIndexIncrementally(config, exportPath, meta, changes, options = {}) {
+  const { added, changed, removed, unchanged } = changes;
+  const sections = options.sections || false;
+  const previousIds = meta.documentIds || {};
+  const documentIds = sections ? {} : null;
+
+  const index = importFlexSearchIndex(config, exportPath);
+  if (!index) return null;
+
+  if (!options.silent) {
+    process.stderr.write(
+      `Updating index (${added.length} added, ${changed.length} changed, ${removed.length} removed)...`
+    );
+  }
+
+  // Drop every document that belonged to a removed or changed file
+  for (const path of [...removed, ...changed.map(({ file }) => file.path)]) {
+    for (const id of previousIds[path] || [path]) {
+      index.remove(id);
+    }
+  }
+
+  const hashes = {};
+  for (const { file, hash } of unchanged) {
+    hashes[file.path] = hash;
+    if (documentIds) documentIds[file.path] = previousIds[file.path] || [];
+  }
+
+  const updated = [...changed, ...added].map(({ file }) => file);
+  const parsed = await parseIndexDocumentsParallel(updated, sections, options.jobs);
+  updated.forEach((file, i) => {
+    const { hash, docs } = parsed[i];
+    docs.forEach((doc) => index.add(doc));
+    hashes[file.path] = hash;
+    if (documentIds) documentIds[file.path] = docs.map((doc) => doc.id);
+  });
+
+  const newMeta = buildMeta(config, hashes, documentIds);
+
+  await exportFlexSearchIndex(index, exportPath, newMeta);
+
+  if (!options.silent) {
+    process.stderr.write(' done\n');
+  }
+
+  const documents = loadDocumentsFromIndex(index, newMeta);
+
+  return {
+    index,
+    documents,
+    stats: buildCorpusStats(documents),
+    changes: {
+      added: added.map(({ file }) => file.relativePath),
+      changed: changed.map(({ file }) => file.relativePath),
+      removed,
+      unchanged: unchanged.length,
+    },
+  };
+}
+
 /**
  * Build or load FlexSearch index with caching
  * @param {Array} files - Files to index
  * @param {object} config - Configuration object
  * @param {boolean|object} forceRebuildOrOptions - Force rebuild flag or options object
- * @returns {Promise<{index: Document, documents: Array}>} - FlexSearch instance and documents
+ *   (forceRebuild, silent, sections - index each heading section as its own document,
+ *   defaults to config.index.sections; jobs - worker threads for parsing files,
+ *   defaults to config.jobs)
+ * @returns {Promise<{index: Document, documents: Array, stats: object, changes?: object}>} - FlexSearch instance, documents, corpus statistics and (after an incremental update) a summary of changed files
  */
 export async function buildOrLoadIndex(files, config, forceRebuildOrOptions = false) {
   const options =
@@ -334,51 +594,60 @@ export async function buildOrLoadIndex(files, config, forceRebuildOrOptions = fa
       ? forceRebuildOrOptions
       : { forceRebuild: forceRebuildOrOptions };
   const { forceRebuild = false, silent = false } = options;
+  const jobs = options.jobs ?? config.jobs ?? DEFAULT_CONFIG.jobs;
 
   const indexConfig = config.index || DEFAULT_CONFIG.index;
-  const exportPath = getFlexSearchExportPath(config);
+  const sections = options.sections ?? indexConfig.sections ?? false;
+  const exportPath = sections
+    ? getSectionIndexExportPath(config)
+    : getFlexSearchExportPath(config);
+
+  // Field weights determine index resolution, so a weight change invalidates the index
+  const weights = resolveFieldWeights(config);
+  const weightsKey = JSON.stringify(weights);
+  const pathsKey = files
+    .map((f) => f.path)
+    .sort()
+    .join('\n');
 
   // Check in-memory cache first
   if (
     !forceRebuild &&
     indexCache &&
+    indexCache.weightsKey === weightsKey &&
+    indexCache.sections === sections &&
+    indexCache.pathsKey === pathsKey &&
     Date.now() - indexCacheTimestamp < INDEX_CACHE_TTL
   ) {
-    const currentPaths = files
-      .map((f) => f.path)
-      .sort()
-      .join('\n');
-    const cachedPaths = indexCache.documents
-      .map((d) => d.id)
-      .sort()
-      .join('\n');
-    if (currentPaths === cachedPaths) {
-      return { index: indexCache.index, documents: indexCache.documents };
-    }
+    return {
+      index: indexCache.index,
+      documents: indexCache.documents,
+      stats: indexCache.stats,
+    };
   }
 
-  // FAST PATH: Check if cached index is fresh
+  const cacheResult = (result) => {
+    indexCache = { ...result, weightsKey, sections, pathsKey };
+    delete indexCache.changes;
+    indexCacheTimestamp = Date.now();
+    return result;
+  };
+
+  // Reuse the persisted index when it was built with the same version and weights
   if (!forceRebuild && indexConfig.enabled && existsSync(exportPath)) {
     const meta = loadMeta(exportPath);
 
     if (
       meta &&
       meta.version === INDEX_VERSION &&
-      meta.fileCount === files.length
+      JSON.stringify(meta.weights) === weightsKey
     ) {
-      // Quick check: compare hashes
-      const storedHashes = meta.hashes || {};
-      let allFresh = true;
-
-      for (const file of files) {
-        const currentHash = computeFileHash(file.path);
-        if (storedHashes[file.path] !== currentHash) {
-          allFresh = false;
-          break;
-        }
-      }
+      const changes = detectChanges(files, meta.hashes || {});
+      const changedCount =
+        changes.added.length + changes.changed.length + changes.removed.length;
 
-      if (allFresh) {
+      // FAST PATH: nothing changed, load the cached index as-is
+      if (changedCount === 0) {
         const showProgress = !silent && files.length >= 100;
 
         if (showProgress) {
@@ -399,9 +668,24 @@ export async function buildOrLoadIndex(files, config, forceRebuildOrOptions = fa
             process.stderr.write(' done\n');
           }
 
-          indexCache = { index, documents };
-          indexCacheTimestamp = Date.now();
-          return { index, documents };
+          return cacheResult({
+            index,
+            documents,
+            stats: buildCorpusStats(documents),
+          });
+        }
+      } else {
+        // INCREMENTAL PATH: re-index only added, changed and removed files
+        const result = await updateIndexIncrementally(
+          config,
+          exportPath,
+          meta,
+          changes,
+          { silent, sections, jobs }
+        );
+
+        if (result) {
+          return cacheResult(result);
         }
       }
     }
@@ -412,14 +696,14 @@ export async function buildOrLoadIndex(files, config, forceRebuildOrOptions = fa
     const index = createFlexSearchIndex(config);
     const documents = [];
 
-    for (const file of files) {
-      const hash = computeFileHash(file.path);
-      const doc = parseFileToDocument(file, hash);
-      documents.push(doc);
-      index.add(doc);
+    for (const { docs } of await parseIndexDocumentsParallel(files, sections, jobs)) {
+      for (const doc of docs) {
+        documents.push(doc);
+        index.add(doc);
+      }
     }
 
-    return { index, documents };
+    return { index, documents, stats: buildCorpusStats(documents) };
   }
 
   // Delete old cache files
@@ -433,17 +717,22 @@ export async function buildOrLoadIndex(files, config, forceRebuildOrOptions = fa
   const index = createFlexSearchIndex(config);
   const documents = [];
   const hashes = {};
+  const documentIds = sections ? {} : null;
   const showProgress = !silent && files.length >= 100;
   const progressInterval = Math.max(1, Math.floor(files.length / 10));
 
+  const parsed = await parseIndexDocumentsParallel(files, sections, jobs);
+
   for (let i = 0; i < files.length; i++) {
     const file = files[i];
-    const hash = computeFileHash(file.path);
-    const doc = parseFileToDocument(file, hash);
+    const { hash, docs } = parsed[i];
 
-    documents.push(doc);
+    for (const doc of docs) {
+      documents.push(doc);
+      index.add(doc);
+    }
     hashes[file.path] = hash;
-    index.add(doc);
+    if (documentIds) documentIds[file.path] = docs.map((doc) => doc.id);
 
     if (showProgress && (i + 1) % progressInterval === 0) {
       process.stderr.write('.');
@@ -455,20 +744,13 @@ export async function buildOrLoadIndex(files, config, forceRebuildOrOptions = fa
   }
 
   // Export index and metadata
-  const meta = {
-    version: INDEX_VERSION,
-    timestamp: Date.now(),
-    fileCount: files.length,
-    hashes,
-  };
-
-  await exportFlexSearchIndex(index, exportPath, meta);
-
-  // Update in-memory cache
-  indexCache = { index, documents };
-  indexCacheTimestamp = Date.now();
+  await exportFlexSearchIndex(
+    index,
+    exportPath,
+    buildMeta(config, hashes, documentIds)
+  );
 
-  return { index, documents };
+  return cacheResult({ index, documents, stats: buildCorpusStats(documents) });
 }
 
 /**
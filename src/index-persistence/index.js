@@ -8,13 +8,17 @@ export {
   getIndexMetaPath,
   getDocumentCachePath,
   getFlexSearchExportPath,
+  getSectionIndexExportPath,
   computeFileHash,
   computeFileHashes,
   isIndexFresh,
   buildFuseKeys,
   buildFlexSearchFields,
+  resolveFieldWeights,
   buildOrLoadIndex,
+  parseIndexDocuments,
   clearIndexCache,
   clearDocumentCache,
   getIndexStats,
 } from './flexsearch-index.js';
+export { SCORED_FIELDS, tokenize, buildCorpusStats } from './corpus-stats.js';
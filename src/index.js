@@ -35,9 +35,14 @@ export {
   buildHeadingPath,
   extractFirstHeading,
   extractSmartContext,
+  classifyLines,
+  findLinkSpans,
   parseMarkdownFile,
   filterFrontmatter,
   extractSection,
+  parseHeadingPath,
+  matchesHeadingPath,
+  findSectionRanges,
 } from './parsing/index.js';
 
 // Cache
@@ -59,31 +64,79 @@ export {
   getIndexMetaPath,
   getDocumentCachePath,
   getFlexSearchExportPath,
+  getSectionIndexExportPath,
   computeFileHash,
   computeFileHashes,
   isIndexFresh,
   buildFuseKeys,
+  buildFlexSearchFields,
+  resolveFieldWeights,
   buildOrLoadIndex,
+  parseIndexDocuments,
   clearIndexCache,
   clearDocumentCache,
   getIndexStats,
+  tokenize,
+  buildCorpusStats,
 } from './index-persistence/index.js';
 
 // Search
 export {
   grepSearch,
+  grepSearchParallel,
   fuzzySearch,
   findBestMatchFromIndices,
   charOffsetToLineNumber,
   extractParagraphContext,
+  createBM25Scorer,
+  buildAliasMap,
+  expandAlias,
+  expandGrepAlias,
+  matchesFieldTerm,
+  getFrontmatterValue,
+  createFieldChecker,
+  editDistance,
+  correctTerm,
+  buildSuggestions,
+  suggestTerms,
+  suggestHeadings,
+  parseWhereFilter,
+  matchesWhereFilter,
+  matchesWhereFilters,
+  parseSortSpec,
+  sortResults,
+  resolveOffset,
+  findPatternHighlights,
+  findTermHighlights,
+  GREP_SCOPES,
 } from './search/index.js';
 
+// Workers
+export {
+  DEFAULT_CHUNK_SIZE,
+  resolveJobs,
+  createWorkerPool,
+  runChunked,
+} from './workers/index.js';
+
 // Output
-export { formatOutput } from './output/index.js';
+export {
+  formatOutput,
+  formatNdjsonRecord,
+  formatNdjsonResults,
+  formatXmlElement,
+  shouldUseColor,
+  estimateTokens,
+  fitResultsToBudget,
+  fitTextToBudget,
+  fitOutlineToBudget,
+  describeTruncation,
+} from './output/index.js';
 
 // Version
 export {
   PACKAGE_VERSION,
   checkForUpdate,
   handleVersionFlag,
+  isVersionRequest,
 } from './version/index.js';
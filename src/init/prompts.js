@@ -62,6 +62,9 @@ const OUTPUT_MODES = [
   { name: 'compact - Condensed text output', value: 'compact' },
   { name: 'detailed - Verbose text output', value: 'detailed' },
   { name: 'files - File paths only', value: 'files' },
+  { name: 'ndjson - One JSON record per line, streamed', value: 'ndjson' },
+  { name: 'xml - <document> blocks for pasting into prompts', value: 'xml' },
+  { name: 'markdown - Report for issues and pull requests', value: 'markdown' },
 ];
 
 /**
@@ -0,0 +1,283 @@
+/**
+ * Token budgets (--max-tokens)
+ *
+ * Estimates how many tokens output will take and trims it to fit: fewer
+ * matches per file and shorter previews first, then the lowest-ranked
+ * results are dropped. Every trim is recorded so callers can report it.
+ */
+
+import { formatOutput } from './formatter.js';
+
+// Rough average for English prose and code with common tokenizers
+const CHARS_PER_TOKEN = 4;
+
+// Trim levels tried in order until the results fit the budget
+const TRIM_LEVELS = [
+  { matches: 10, context: 600, preview: 400 },
+  { matches: 3, context: 300, preview: 200 },
+  { matches: 1, context: 120, preview: 100 },
+];
+
+/**
+ * Estimate the number of tokens in a text
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated token count
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text?.length || 0) / CHARS_PER_TOKEN);
+}
+
+/**
+ * Shorten text to at most maxChars characters (plus "..."), at a word boundary
+ * when there is one
+ * @param {string} text - Text to shorten
+ * @param {number} maxChars - Maximum characters to keep
+ * @returns {string} - Text, unchanged when it already fits
+ */
+function shortenText(text, maxChars) {
+  if (text.length <= maxChars) return text;
+  const cut = text.slice(0, maxChars);
+  return `${cut.replace(/\s+\S*$/, '') || cut}...`;
+}
+
+/**
+ * Drop highlight spans that no longer lie inside shortened text
+ * @param {Array<{start: number, end: number}>} highlights - Match spans
+ * @param {string} text - Shortened text (with its "..." suffix)
+ * @param {boolean} shortened - Whether the text was shortened
+ * @returns {Array<{start: number, end: number}>|undefined}
+ */
+function clipHighlights(highlights, text, shortened) {
+  if (!highlights || !shortened) return highlights;
+  const length = text.length - 3;
+  return highlights.filter(({ end }) => end <= length);
+}
+
+/**
+ * Apply one trim level to a search result
+ * @param {object} result - Result from grepSearch or fuzzySearch
+ * @param {{matches: number, context: number, preview: number}} level - Limits
+ * @returns {{result: object, droppedMatches: number, shortened: boolean}}
+ */
+function trimResult(result, level) {
+  const trimmed = { ...result };
+  let droppedMatches = 0;
+  let shortened = false;
+
+  if (result.matches) {
+    droppedMatches = Math.max(0, result.matches.length - level.matches);
+    trimmed.matches = result.matches.slice(0, level.matches).map((m) => {
+      if (typeof m.context !== 'string') return m;
+      const context = shortenText(m.context, level.context);
+      if (context === m.context) return m;
+      shortened = true;
+      return {
+        ...m,
+        context,
+        contextHighlights: clipHighlights(m.contextHighlights, context, true),
+      };
+    });
+  }
+
+  if (result.preview) {
+    const preview = shortenText(result.preview, level.preview);
+    if (preview !== result.preview) {
+      shortened = true;
+      trimmed.preview = preview;
+      trimmed.highlights = clipHighlights(result.highlights, preview, true);
+    }
+  }
+
+  return { result: trimmed, droppedMatches, shortened };
+}
+
+/**
+ * Trim search results to a token budget
+ * Results are assumed to be in rank order, so the last ones are dropped first
+ * @param {Array} results - Results from grepSearch or fuzzySearch
+ * @param {number} maxTokens - Token budget; 0 or less disables trimming
+ * @param {string} mode - Output mode the results will be formatted with
+ * @returns {{results: Array, truncated: object|null}} - Trimmed results, and what
+ *   was trimmed (null when everything fit): {maxTokens, tokens, totalTokens,
+ *   droppedResults, droppedMatches, shortened}
+ */
+export function fitResultsToBudget(results, maxTokens, mode) {
+  const measure = (rs) => estimateTokens(formatOutput(rs, mode));
+  const totalTokens = measure(results);
+  if (!(maxTokens > 0) || totalTokens <= maxTokens) {
+    return { results, truncated: null };
+  }
+
+  let trimmed;
+  for (const level of TRIM_LEVELS) {
+    trimmed = results.map((r) => trimResult(r, level));
+    if (measure(trimmed.map((t) => t.result)) <= maxTokens) break;
+  }
+
+  // Keep the highest-ranked results that fit (per-result costs add up closely
+  // enough to avoid re-measuring every prefix)
+  const base = measure([]);
+  let used = base;
+  let kept = 0;
+  while (kept < trimmed.length) {
+    const cost = measure([trimmed[kept].result]) - base;
+    if (used + cost > maxTokens) break;
+    used += cost;
+    kept++;
+  }
+
+  const shown = trimmed.slice(0, kept);
+  return {
+    results: shown.map((t) => t.result),
+    truncated: {
+      maxTokens,
+      tokens: measure(shown.map((t) => t.result)),
+      totalTokens,
+      droppedResults: results.length - kept,
+      droppedMatches: shown.reduce((sum, t) => sum + t.droppedMatches, 0),
+      shortened: shown.filter((t) => t.shortened).length,
+    },
+  };
+}
+
+/**
+ * Trim plain text to a token budget, keeping whole lines from the start
+ * @param {string} text - Text to trim
+ * @param {number} maxTokens - Token budget; 0 or less disables trimming
+ * @returns {{text: string, truncated: object|null}} - Trimmed text, and what was
+ *   trimmed (null when it fit): {maxTokens, tokens, totalTokens, shownLines, totalLines}
+ */
+export function fitTextToBudget(text, maxTokens) {
+  const totalTokens = estimateTokens(text);
+  if (!(maxTokens > 0) || totalTokens <= maxTokens) {
+    return { text, truncated: null };
+  }
+
+  const lines = text.split('\n');
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  let length = 0;
+  let shownLines = 0;
+  while (shownLines < lines.length) {
+    const next = length + lines[shownLines].length + (shownLines > 0 ? 1 : 0);
+    if (next > maxChars) break;
+    length = next;
+    shownLines++;
+  }
+
+  const shown = lines.slice(0, shownLines).join('\n');
+  return {
+    text: shown,
+    truncated: {
+      maxTokens,
+      tokens: estimateTokens(shown),
+      totalTokens,
+      shownLines,
+      totalLines: lines.length,
+    },
+  };
+}
+
+/**
+ * Trim document outlines to a token budget: deeper heading levels go first,
+ * then the last files. The first file is always kept, with only the headings
+ * that fit when even its top-level outline is over budget.
+ * @param {Array<{file: string, headings: Array}>} entries - Outline per file
+ * @param {number} maxTokens - Token budget; 0 or less disables trimming
+ * @param {(entries: Array) => string} format - Formats entries as they will be printed
+ * @returns {{entries: Array, truncated: object|null}} - Trimmed entries, and what
+ *   was trimmed (null when everything fit): {maxTokens, tokens, totalTokens,
+ *   depth, droppedHeadings, droppedFiles}
+ */
+export function fitOutlineToBudget(entries, maxTokens, format) {
+  const measure = (es) => estimateTokens(format(es));
+  const totalTokens = measure(entries);
+  if (!(maxTokens > 0) || totalTokens <= maxTokens) {
+    return { entries, truncated: null };
+  }
+
+  const limitDepth = (depth) =>
+    entries.map((e) => ({ ...e, headings: e.headings.filter((h) => h.level <= depth) }));
+
+  const deepest = Math.max(1, ...entries.flatMap((e) => e.headings.map((h) => h.level)));
+  let depth = deepest;
+  let trimmed = entries;
+  while (depth > 1 && measure(trimmed) > maxTokens) {
+    depth--;
+    trimmed = limitDepth(depth);
+  }
+
+  // Keep the first files that fit, summing per-file costs as for results;
+  // separators are not counted, so the final check may drop a few more
+  const base = measure([]);
+  let used = base;
+  let kept = 0;
+  while (kept < trimmed.length) {
+    const cost = measure([trimmed[kept]]) - base;
+    if (used + cost > maxTokens) break;
+    used += cost;
+    kept++;
+  }
+  while (kept > 0 && measure(trimmed.slice(0, kept)) > maxTokens) kept--;
+
+  // Never return an empty outline: keep what fits of the first file
+  let shown = trimmed.slice(0, kept);
+  if (kept === 0 && trimmed.length > 0) {
+    shown = [fitHeadings(trimmed[0], maxTokens, measure)];
+    kept = 1;
+  }
+  const countHeadings = (es) => es.reduce((sum, e) => sum + e.headings.length, 0);
+  return {
+    entries: shown,
+    truncated: {
+      maxTokens,
+      tokens: measure(shown),
+      totalTokens,
+      depth: depth < deepest ? depth : undefined,
+      droppedHeadings: countHeadings(entries.slice(0, kept)) - countHeadings(shown),
+      droppedFiles: entries.length - kept,
+    },
+  };
+}
+
+/**
+ * Keep the leading headings of one outline entry that fit a token budget
+ * @param {{file: string, headings: Array}} entry - Outline of one file
+ * @param {number} maxTokens - Token budget
+ * @param {(entries: Array) => number} measure - Tokens of entries as printed
+ * @returns {{file: string, headings: Array}} - Entry with fewer headings (none
+ *   when not even one fits)
+ */
+function fitHeadings(entry, maxTokens, measure) {
+  const withHeadings = (headings) => ({ ...entry, headings });
+  const base = measure([withHeadings([])]);
+  let used = base;
+  let count = 0;
+  while (count < entry.headings.length) {
+    const cost = measure([withHeadings([entry.headings[count]])]) - base;
+    if (used + cost > maxTokens) break;
+    used += cost;
+    count++;
+  }
+  while (count > 0 && measure([withHeadings(entry.headings.slice(0, count))]) > maxTokens) count--;
+
+  return withHeadings(entry.headings.slice(0, count));
+}
+
+/**
+ * Describe a truncation record for people reading text output
+ * @param {object} truncated - From fitResultsToBudget, fitTextToBudget or fitOutlineToBudget
+ * @returns {string} - One-line summary
+ */
+export function describeTruncation(truncated) {
+  const parts = [];
+  if (truncated.droppedResults) parts.push(`dropped ${truncated.droppedResults} result(s)`);
+  if (truncated.droppedMatches) parts.push(`dropped ${truncated.droppedMatches} match(es)`);
+  if (truncated.shortened) parts.push(`shortened ${truncated.shortened} preview(s)`);
+  if (truncated.depth) parts.push(`headings limited to depth ${truncated.depth}`);
+  if (truncated.droppedFiles) parts.push(`dropped ${truncated.droppedFiles} file(s)`);
+  if (truncated.totalLines !== undefined) {
+    parts.push(`showing lines 1-${truncated.shownLines} of ${truncated.totalLines}`);
+  }
+
+  return `Output trimmed to ~${truncated.tokens} of ~${truncated.totalTokens} tokens (budget ${truncated.maxTokens})${parts.length ? `: ${parts.join(', ')}` : ''}`;
+}
@@ -2,60 +2,365 @@
  * Output formatting utilities
  */
 
+import { Chalk } from 'chalk';
+
+// Colors are decided by shouldUseColor, not by chalk's own detection
+const highlightStyle = new Chalk({ level: 1 }).bold.red;
+
 /**
- * Format search results for output
+ * Check whether output should be colored: the stream is a terminal and
+ * NO_COLOR (https://no-color.org) is not set
+ * @param {object} stream - Output stream (default: process.stdout)
+ * @param {object} env - Environment variables (default: process.env)
+ * @returns {boolean}
+ */
+export function shouldUseColor(stream = process.stdout, env = process.env) {
+  return Boolean(stream?.isTTY) && !env.NO_COLOR;
+}
+
+/**
+ * Highlight match spans in text with ANSI colors
+ * Spans past the end of the text (e.g. after truncation) are clipped
+ * @param {string} text - Text to highlight
+ * @param {Array<{start: number, end: number}>} highlights - Sorted match spans
+ * @param {boolean} color - Whether to apply colors
+ * @returns {string} - Highlighted text
+ */
+function applyHighlights(text, highlights, color) {
+  if (!color || !highlights?.length) return text;
+
+  let output = '';
+  let position = 0;
+  for (const { start, end } of highlights) {
+    if (start < position || start >= text.length) continue;
+    const stop = Math.min(end, text.length);
+    output += text.slice(position, start) + highlightStyle(text.slice(start, stop));
+    position = stop;
+  }
+
+  return output + text.slice(position);
+}
+
+/**
+ * Shift highlight spans onto a trimmed copy of the text
+ * @param {string} text - Untrimmed text
+ * @param {Array<{start: number, end: number}>} highlights - Spans in the untrimmed text
+ * @returns {Array<{start: number, end: number}>} - Spans in text.trim()
+ */
+function trimHighlights(text, highlights) {
+  const lead = text.length - text.trimStart().length;
+  const length = text.trim().length;
+  return highlights
+    .map(({ start, end }) => ({ start: start - lead, end: end - lead }))
+    .filter(({ start, end }) => start >= 0 && end <= length);
+}
+
+/**
+ * Format a score explanation (--explain) for the detailed output mode
+ * @param {object} explain - Explanation from fuzzySearch
+ * @returns {string} - Multi-line explanation
+ */
+function formatExplanation(explain) {
+  const lines = [
+    `◇ Score ${explain.score} = 1 / (1 + bm25 ${explain.bm25}), relevance ${explain.relevance} (bm25 / best bm25)`,
+  ];
+
+  for (const t of explain.terms) {
+    const source = t.aliasOf
+      ? ` (alias of ${t.aliasOf})`
+      : t.correctedFrom
+        ? ` (corrected from ${t.correctedFrom})`
+        : '';
+    const fields = Object.entries(t.fields)
+      .map(([field, f]) => `${field} ${f.score} (tf ${f.tf}, weight ${f.weight})`)
+      .join(', ');
+    lines.push(`  ${t.term}${source}: ${t.score} [idf ${t.idf}] ${fields}`);
+  }
+
+  if (explain.terms.length === 0) {
+    lines.push('  No scored terms (matched by filters only)');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Convert a search result to its compact JSON form (optimized for AI consumption)
+ * @param {object} r - Search result from grepSearch or fuzzySearch
+ * @returns {object} - JSON-ready result
+ */
+function toJsonResult(r) {
+  const out = { file: r.file };
+
+  // Round score and relevance to 3 decimal places if present
+  if (r.score !== undefined) {
+    out.score = Math.round(r.score * 1000) / 1000;
+  }
+  if (r.relevance !== undefined) {
+    out.relevance = Math.round(r.relevance * 1000) / 1000;
+  }
+
+  // Include title only if not in frontmatter (avoid duplication)
+  if (r.title && (!r.frontmatter || r.frontmatter.title !== r.title)) {
+    out.title = r.title;
+  }
+
+  // Include frontmatter if present and non-empty
+  if (r.frontmatter && Object.keys(r.frontmatter).length > 0) {
+    out.frontmatter = r.frontmatter;
+  }
+
+  // Include per-file counts for grep --count results
+  if (r.count !== undefined) {
+    out.count = r.count;
+  }
+
+  // Include matches for grep results
+  if (r.matches) {
+    out.matches = r.matches
+      .map((m) => ({
+        line: m.lineNumber,
+        endLine: m.endLineNumber,
+        heading: m.headingPath || undefined,
+        text: m.line,
+        highlights: m.highlights?.length ? m.highlights : undefined,
+        context: m.context,
+      }))
+      .map((m) => {
+        // Remove undefined values
+        Object.keys(m).forEach((k) => m[k] === undefined && delete m[k]);
+        return m;
+      });
+  }
+
+  // Include heading path and line range for section results
+  if (r.range && !r.matches) {
+    if (r.heading) out.heading = r.heading;
+    out.range = r.range;
+  }
+
+  // Include preview for find results
+  if (r.preview) {
+    out.preview = r.preview.trim();
+    if (r.highlights?.length) {
+      out.highlights = trimHighlights(r.preview, r.highlights);
+    }
+  }
+
+  // Include score breakdown when requested (--explain)
+  if (r.explain) {
+    out.explain = r.explain;
+  }
+
+  return out;
+}
+
+/**
+ * Format one NDJSON record
+ * @param {object} record - Record fields
+ * @param {string} type - Record type: "result" or "summary"
+ * @returns {string} - One line of JSON, tagged with its type
+ */
+export function formatNdjsonRecord(record, type = 'result') {
+  return JSON.stringify({ type, ...record });
+}
+
+/**
+ * Format search results as NDJSON result records, one line per result
  * @param {Array} results - Array of search results
- * @param {string} mode - Output mode: json, files, compact, detailed
- * @returns {string} - Formatted output string
+ * @returns {string} - Newline-separated records (empty when there are no results)
  */
-export function formatOutput(results, mode) {
-  if (mode === 'json') {
-    // Compact JSON optimized for AI consumption
-    const compactResults = results.map((r) => {
-      const out = { file: r.file };
+export function formatNdjsonResults(results) {
+  return results.map((r) => formatNdjsonRecord(toJsonResult(r))).join('\n');
+}
 
-      // Round score to 3 decimal places if present
-      if (r.score !== undefined) {
-        out.score = Math.round(r.score * 1000) / 1000;
-      }
+/**
+ * Escape a value for use in an XML attribute (">" is left as is, so heading
+ * paths stay readable)
+ * @param {*} value - Attribute value
+ * @returns {string} - Escaped value
+ */
+function escapeXmlAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/"/g, '&quot;');
+}
 
-      // Include title only if not in frontmatter (avoid duplication)
-      if (r.title && (!r.frontmatter || r.frontmatter.title !== r.title)) {
-        out.title = r.title;
-      }
+/**
+ * Format an XML element for prompt-ready output
+ * Content is not escaped, so markdown and code read exactly like the source;
+ * blank lines around it are dropped
+ * @param {string} tag - Element name
+ * @param {object} attributes - Attribute values; undefined ones are left out
+ * @param {string} content - Element content; undefined gives an empty element
+ * @returns {string} - Element, with content on its own lines
+ */
+export function formatXmlElement(tag, attributes, content) {
+  const attrs = Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => ` ${name}="${escapeXmlAttribute(value)}"`)
+    .join('');
 
-      // Include frontmatter if present and non-empty
-      if (r.frontmatter && Object.keys(r.frontmatter).length > 0) {
-        out.frontmatter = r.frontmatter;
-      }
+  if (content === undefined) return `<${tag}${attrs} />`;
+  const trimmed = content.replace(/^(?:[ \t]*\n)+/, '').replace(/\s+$/, '');
+  return `<${tag}${attrs}>\n${trimmed}\n</${tag}>`;
+}
 
-      // Include matches for grep results
-      if (r.matches) {
-        out.matches = r.matches
-          .map((m) => ({
-            line: m.lineNumber,
-            heading: m.headingPath || undefined,
-            text: m.line,
-            context: m.context,
-          }))
-          .map((m) => {
-            // Remove undefined values
-            Object.keys(m).forEach((k) => m[k] === undefined && delete m[k]);
-            return m;
-          });
-      }
+/**
+ * Convert a search result to a <document> block
+ * @param {object} r - Search result from grepSearch or fuzzySearch
+ * @returns {string} - Document element with a <section> per match or section hit
+ */
+function toXmlDocument(r) {
+  const attributes = {
+    path: r.file,
+    title: r.title ?? r.frontmatter?.title,
+    score: r.score !== undefined ? Math.round(r.score * 1000) / 1000 : undefined,
+    count: r.count,
+  };
 
-      // Include preview for find results
-      if (r.preview) {
-        out.preview = r.preview.trim();
-      }
+  let content;
+  if (r.matches) {
+    content = r.matches
+      .map((m) =>
+        formatXmlElement(
+          'section',
+          { heading: m.headingPath || undefined, lines: `${m.range.start}-${m.range.end}` },
+          m.context
+        )
+      )
+      .join('\n');
+  } else if (r.preview && r.range) {
+    content = formatXmlElement(
+      'section',
+      { heading: r.heading || undefined, lines: `${r.range.start}-${r.range.end}` },
+      r.preview
+    );
+  } else if (r.preview) {
+    content = r.preview.trim();
+  }
+
+  return formatXmlElement('document', attributes, content);
+}
+
+/**
+ * Turn a heading path into a breadcrumb, e.g. "# Guide > ## Setup" -> "Guide > Setup"
+ * @param {string} headingPath - Heading path from grepSearch or fuzzySearch
+ * @returns {string} - Breadcrumb without heading markers
+ */
+function formatBreadcrumb(headingPath) {
+  return headingPath
+    .split(' > ')
+    .map((part) => part.replace(/^#+\s*/, ''))
+    .join(' > ');
+}
+
+/**
+ * Fence text as a markdown code block
+ * Text that is itself one whole fenced block keeps its language; anything else
+ * is fenced with the given language (or as markdown), with a fence longer than
+ * any it contains
+ * @param {string} text - Context or preview
+ * @param {string} [lang] - Language of the code block the match is in, if any
+ * @returns {string} - Fenced block
+ */
+function fenceText(text, lang) {
+  const lines = text.replace(/^(?:[ \t]*\n)+/, '').replace(/\s+$/, '').split('\n');
+  const open = lines[0].match(/^(`{3,}|~{3,})\s*([^\s`]*)/);
+  const inner = lines.slice(1, -1);
+  if (
+    open &&
+    lines.length > 1 &&
+    lines.at(-1).trim() === open[1] &&
+    !inner.some((line) => line.trimStart().startsWith(open[1]))
+  ) {
+    return [`${open[1]}${open[2]}`, ...inner, open[1]].join('\n');
+  }
+
+  const longest = Math.max(2, ...lines.map((line) => line.match(/^\s*(`+)/)?.[1].length ?? 0));
+  const fence = '`'.repeat(longest + 1);
+  return [`${fence}${lang ?? 'markdown'}`, ...lines, fence].join('\n');
+}
+
+/**
+ * Convert a search result to a markdown report section
+ * @param {object} r - Search result from grepSearch or fuzzySearch
+ * @returns {string} - Heading for the file, then its matches or preview
+ */
+function toMarkdownSection(r) {
+  const title = r.title ?? r.frontmatter?.title;
+  const parts = [`## ${title ? `${title} — ` : ''}[${r.file}](${r.file})`];
+
+  const details = [];
+  if (r.relevance !== undefined) details.push(`Relevance ${r.relevance.toFixed(2)}`);
+  if (r.count !== undefined) details.push(`${r.count} matching line(s)`);
+  if (r.range && !r.matches) {
+    details.push(`**${r.heading || '(preamble)'}** (lines ${r.range.start}-${r.range.end})`);
+  }
+  if (details.length > 0) parts.push(details.join(' · '));
+
+  if (r.matches) {
+    for (const m of r.matches) {
+      // Line numbers count from the top of the file, so links resolve on code hosts
+      const anchor = m.endLineNumber
+        ? `L${m.lineNumber}-L${m.endLineNumber}`
+        : `L${m.lineNumber}`;
+      const link = `[${r.file}#${anchor}](${r.file}#${anchor})`;
+      parts.push(m.headingPath ? `**${formatBreadcrumb(m.headingPath)}** · ${link}` : link);
+      parts.push(fenceText(m.context, m.lang));
+    }
+  } else if (r.preview) {
+    parts.push(fenceText(r.preview));
+  }
+
+  return parts.join('\n\n');
+}
 
-      return out;
-    });
+/**
+ * Format search results for output
+ * @param {Array} results - Array of search results
+ * @param {string} mode - Output mode: json, ndjson, xml, markdown, files, compact, detailed
+ * @param {object} report - Search metadata (e.g. alias expansions); in json mode a
+ *   non-empty report wraps the results as {...report, results}, in ndjson mode it
+ *   goes into the final summary record
+ * @param {object} options - Formatting options
+ * @param {boolean} options.color - Highlight matches with ANSI colors in compact
+ *   and detailed modes (see shouldUseColor)
+ * @returns {string} - Formatted output string
+ */
+export function formatOutput(results, mode, report = {}, options = {}) {
+  const color = options.color ?? false;
+
+  if (mode === 'json') {
+    const compactResults = results.map(toJsonResult);
+
+    // Keep the plain array format unless there is metadata to report
+    if (report && Object.keys(report).length > 0) {
+      return JSON.stringify({ ...report, results: compactResults });
+    }
 
     return JSON.stringify(compactResults);
   }
 
+  if (mode === 'ndjson') {
+    const summary = formatNdjsonRecord(
+      { total: results.length, ...report },
+      'summary'
+    );
+    return results.length > 0
+      ? `${formatNdjsonResults(results)}\n${summary}`
+      : summary;
+  }
+
+  if (mode === 'xml') {
+    return results.map(toXmlDocument).join('\n\n');
+  }
+
+  if (mode === 'markdown') {
+    return results.map(toMarkdownSection).join('\n\n');
+  }
+
   if (mode === 'files') {
     return results.map((r) => r.file).join('\n');
   }
@@ -63,9 +368,15 @@ export function formatOutput(results, mode) {
   if (mode === 'compact') {
     return results
       .map((r) => {
-        let output = `\n📄 ${r.file}`;
-        if (r.score !== undefined) {
-          output += ` (relevance: ${(1 - r.score).toFixed(2)})`;
+        let output = `\n📄 ${r.file}${r.heading ? `#${r.heading}` : ''}`;
+        if (r.range && !r.matches) {
+          output += ` [lines ${r.range.start}-${r.range.end}]`;
+        }
+        if (r.relevance !== undefined) {
+          output += ` (relevance: ${r.relevance.toFixed(2)})`;
+        }
+        if (r.count !== undefined) {
+          output += `\n   ${r.count} matching line(s)`;
         }
         if (r.matches) {
           output += `\n   ${r.matches.length} match(es)`;
@@ -73,10 +384,15 @@ export function formatOutput(results, mode) {
             if (m.headingPath) {
               output += `\n   ┌ ${m.headingPath}`;
             }
-            output += `\n   │ Line ${m.lineNumber}: ${m.line.substring(0, 100)}${m.line.length > 100 ? '...' : ''}`;
+            // Multi-line matches show their first line
+            const shown = m.line.split('\n')[0].substring(0, 100);
+            const lineLabel = m.endLineNumber
+              ? `Lines ${m.lineNumber}-${m.endLineNumber}`
+              : `Line ${m.lineNumber}`;
+            output += `\n   │ ${lineLabel}: ${applyHighlights(shown, m.highlights, color)}${shown.length < m.line.length ? '...' : ''}`;
           });
         } else if (r.preview) {
-          output += `\n   ${r.preview}`;
+          output += `\n   ${applyHighlights(r.preview, r.highlights, color)}`;
         }
         return output;
       })
@@ -99,15 +415,26 @@ export function formatOutput(results, mode) {
             .join(' | ');
       }
 
+      if (r.count !== undefined) {
+        output += `\n${r.count} matching line(s)`;
+      }
+
       if (r.matches) {
         r.matches.forEach((m) => {
           if (m.headingPath) {
             output += `\n\n◆ ${m.headingPath} (lines ${m.range.start}-${m.range.end})`;
           }
-          output += `\n${m.context}`;
+          output += `\n${applyHighlights(m.context, m.contextHighlights, color)}`;
         });
       } else if (r.preview) {
-        output += `\n\n${r.preview}`;
+        if (r.range) {
+          output += `\n\n◆ ${r.headingPath || '(preamble)'} (lines ${r.range.start}-${r.range.end})`;
+        }
+        output += `\n\n${applyHighlights(r.preview, r.highlights, color)}`;
+      }
+
+      if (r.explain) {
+        output += `\n\n${formatExplanation(r.explain)}`;
       }
 
       return output;
@@ -2,4 +2,17 @@
  * Output module exports
  */
 
-export { formatOutput } from './formatter.js';
+export {
+  formatOutput,
+  formatNdjsonRecord,
+  formatNdjsonResults,
+  formatXmlElement,
+  shouldUseColor,
+} from './formatter.js';
+export {
+  estimateTokens,
+  fitResultsToBudget,
+  fitTextToBudget,
+  fitOutlineToBudget,
+  describeTruncation,
+} from './budget.js';
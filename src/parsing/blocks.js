@@ -0,0 +1,118 @@
+/**
+ * Markdown block structure
+ *
+ * Classifies body lines as fenced code, headings, tables or prose, and finds
+ * link spans, so searches can be restricted to one kind of content
+ */
+
+// Opening or closing code fence: ``` or ~~~ with an optional info string
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)/;
+
+const HEADING = /^#{1,6}\s/;
+
+// Table delimiter row, e.g. | --- | :---: |
+const TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// Inline links and images, autolinks, bare URLs (without trailing punctuation)
+// and reference definitions
+const LINK_PATTERNS = [
+  /!?\[[^\]]*\]\([^)]*\)/g,
+  /<https?:\/\/[^>\s]+>/g,
+  /https?:\/\/[^\s<>()[\]]*[^\s<>()[\].,;:!?'"]/g,
+  /^\s*\[[^\]]+\]:\s*\S+/g,
+];
+
+/**
+ * Classify each line of a markdown body
+ * - fence: a code fence line (``` or ~~~)
+ * - code: a line inside a fenced code block (lang is the fence's language)
+ * - heading: an ATX heading
+ * - table: a table row (header, delimiter or body row)
+ * - blank: an empty line
+ * - prose: anything else (paragraphs, lists, blockquotes)
+ * @param {string[]} lines - Body lines
+ * @returns {Array<{kind: string, lang?: string}>} - One entry per line
+ */
+export function classifyLines(lines) {
+  const kinds = [];
+  let fence = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const fenceMatch = line.match(FENCE);
+
+    if (fence) {
+      // A closing fence uses the same character and is at least as long
+      const closes =
+        fenceMatch &&
+        fenceMatch[1][0] === fence.marker[0] &&
+        fenceMatch[1].length >= fence.marker.length &&
+        !fenceMatch[2];
+      if (closes) {
+        kinds.push({ kind: 'fence' });
+        fence = null;
+      } else {
+        kinds.push({ kind: 'code', lang: fence.lang });
+      }
+      continue;
+    }
+
+    if (fenceMatch) {
+      fence = { marker: fenceMatch[1], lang: fenceMatch[2].toLowerCase() };
+      kinds.push({ kind: 'fence' });
+    } else if (line.trim() === '') {
+      kinds.push({ kind: 'blank' });
+    } else if (HEADING.test(line)) {
+      kinds.push({ kind: 'heading' });
+    } else if (isTableDelimiter(line) && kinds[i - 1]?.kind === 'prose' && lines[i - 1].includes('|')) {
+      // The previous line was the table header
+      kinds[i - 1] = { kind: 'table' };
+      kinds.push({ kind: 'table' });
+    } else if (kinds[i - 1]?.kind === 'table' && line.includes('|')) {
+      kinds.push({ kind: 'table' });
+    } else {
+      kinds.push({ kind: 'prose' });
+    }
+  }
+
+  return kinds;
+}
+
+/**
+ * Check whether a line is a table delimiter row
+ * @param {string} line - Line text
+ * @returns {boolean}
+ */
+function isTableDelimiter(line) {
+  return line.includes('|') && line.includes('-') && TABLE_DELIMITER.test(line);
+}
+
+/**
+ * Find the character spans of links in a line
+ * @param {string} line - Line text
+ * @returns {Array<{start: number, end: number}>} - Sorted, non-overlapping spans
+ */
+export function findLinkSpans(line) {
+  const spans = [];
+
+  for (const pattern of LINK_PATTERNS) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(line)) !== null) {
+      spans.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  // Bare URLs inside inline links are already covered by the link
+  const merged = [];
+  for (const span of spans.sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+    if (last && span.start < last.end) {
+      last.end = Math.max(last.end, span.end);
+    } else {
+      merged.push(span);
+    }
+  }
+
+  return merged;
+}
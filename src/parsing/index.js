@@ -4,5 +4,11 @@
 
 export { extractHeadings, findParentHeading, buildHeadingPath, extractFirstHeading } from './headings.js';
 export { extractSmartContext } from './context.js';
+export { classifyLines, findLinkSpans } from './blocks.js';
 export { parseMarkdownFile, filterFrontmatter } from './markdown.js';
-export { extractSection } from './sections.js';
+export {
+  extractSection,
+  parseHeadingPath,
+  matchesHeadingPath,
+  findSectionRanges,
+} from './sections.js';
@@ -9,17 +9,30 @@ import { USEFUL_FRONTMATTER } from '../config/constants.js';
 /**
  * Parse markdown file with frontmatter
  * @param {string} filePath - Path to markdown file
- * @returns {{filePath: string, frontmatter: object, body: string, fullContent: string}}
+ * @returns {{filePath: string, frontmatter: object, body: string, rawFrontmatter: string,
+ *   fullContent: string, bodyLineOffset: number}} - bodyLineOffset is the number of
+ *   file lines before body line 1 (body line n is file line n + bodyLineOffset)
  */
 export function parseMarkdownFile(filePath) {
   const content = readFileSync(filePath, 'utf-8');
-  const { data: frontmatter, content: body } = matter(content);
+  // Passing options bypasses gray-matter's cache, whose copies drop the raw frontmatter
+  const {
+    data: frontmatter,
+    content: body,
+    matter: rawFrontmatter,
+  } = matter(content, {});
+
+  // The body is the tail of the file, after the closing frontmatter delimiter
+  const head = content.slice(0, content.length - body.length);
+  const bodyLineOffset = head.split('\n').length - 1;
 
   return {
     filePath,
     frontmatter,
     body,
+    rawFrontmatter,
     fullContent: content,
+    bodyLineOffset,
   };
 }
 
@@ -2,6 +2,69 @@
  * Section extraction utilities
  */
 
+/**
+ * Split a heading path like "Installation > Prerequisites" into its parts
+ * Leading #'s are ignored and parts are lowercased for matching
+ * @param {string} headingText - Heading text or path
+ * @returns {string[]} - Lowercased heading parts, outermost first
+ */
+export function parseHeadingPath(headingText) {
+  return headingText
+    .split('>')
+    .map((p) => p.trim().replace(/^#+\s*/, '').toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Check whether a chain of nested headings lies under a heading path
+ * Path parts must match (case-insensitive substring) headings of the chain in
+ * order, so "Setup > Prerequisites" also matches "Setup > Linux > Prerequisites"
+ * @param {string[]} chain - Heading texts from the outermost to the innermost
+ * @param {string[]} parts - From parseHeadingPath
+ * @returns {boolean}
+ */
+export function matchesHeadingPath(chain, parts) {
+  if (parts.length === 0) return false;
+  let next = 0;
+  for (const heading of chain) {
+    if (heading.toLowerCase().includes(parts[next])) {
+      next++;
+      if (next === parts.length) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Find the line ranges of every section under a heading path
+ * @param {string[]} lines - Array of lines from markdown body
+ * @param {Array<{level: number, text: string, line: number}>} headings - Array of headings
+ * @param {string} headingText - Heading path (e.g. "Setup > Prerequisites")
+ * @returns {Array<{start: number, end: number}>} - Line ranges (0-based, end exclusive),
+ *   each starting at a matching heading; nested matches are merged into their parent
+ */
+export function findSectionRanges(lines, headings, headingText) {
+  const parts = parseHeadingPath(headingText);
+  const ranges = [];
+  const stack = [];
+
+  headings.forEach((h, i) => {
+    while (stack.length > 0 && stack[stack.length - 1].level >= h.level) {
+      stack.pop();
+    }
+    stack.push(h);
+
+    const inside = ranges.length > 0 && h.line < ranges[ranges.length - 1].end;
+    if (inside || !matchesHeadingPath(stack.map((s) => s.text), parts)) return;
+
+    // Section ends at the next heading of the same or higher level
+    const next = headings.slice(i + 1).find((other) => other.level <= h.level);
+    ranges.push({ start: h.line, end: next ? next.line : lines.length });
+  });
+
+  return ranges;
+}
+
 /**
  * Get section content by heading
  * @param {string[]} lines - Array of lines from markdown body
@@ -11,10 +74,8 @@
  */
 export function extractSection(lines, headings, headingText) {
   // Support heading path like "Installation > Prerequisites"
-  const pathParts = headingText
-    .split('>')
-    .map((p) => p.trim().replace(/^#+\s*/, ''));
-  const targetHeading = pathParts[pathParts.length - 1].toLowerCase();
+  const pathParts = parseHeadingPath(headingText);
+  const targetHeading = pathParts[pathParts.length - 1] ?? '';
 
   let startIdx = -1;
   let startLevel = 0;
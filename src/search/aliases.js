@@ -0,0 +1,72 @@
+/**
+ * Query alias expansion
+ *
+ * Aliases map a search token to a list of synonyms, e.g.
+ * { "auth": "authentication authorization login" }
+ */
+
+/**
+ * Normalize the aliases config into a lookup map
+ * Alias values may be a space-separated string or an array of words
+ * @param {object} aliases - Aliases from config
+ * @returns {Map<string, string[]>} - Lowercase alias name to synonyms
+ */
+export function buildAliasMap(aliases) {
+  const map = new Map();
+  if (!aliases || typeof aliases !== 'object') return map;
+
+  for (const [name, value] of Object.entries(aliases)) {
+    const synonyms = (Array.isArray(value) ? value : String(value).split(/\s+/))
+      .map((word) => String(word).trim())
+      .filter((word) => word.length > 0);
+
+    if (synonyms.length > 0) {
+      map.set(name.toLowerCase(), synonyms);
+    }
+  }
+
+  return map;
+}
+
+/**
+ * Expand a single query token into its OR-group of alternatives
+ * @param {string} term - Query token
+ * @param {Map<string, string[]>} aliasMap - Map from buildAliasMap
+ * @returns {string[]} - The term followed by its synonyms (just the term if no alias)
+ */
+export function expandAlias(term, aliasMap) {
+  const synonyms = aliasMap.get(term.toLowerCase());
+  if (!synonyms) return [term];
+
+  const seen = new Set([term.toLowerCase()]);
+  const alternatives = [term];
+  for (const synonym of synonyms) {
+    if (!seen.has(synonym.toLowerCase())) {
+      seen.add(synonym.toLowerCase());
+      alternatives.push(synonym);
+    }
+  }
+  return alternatives;
+}
+
+/**
+ * Build a regex alternation for a grep query that is exactly an alias name
+ * @param {string} query - Grep query
+ * @param {Map<string, string[]>} aliasMap - Map from buildAliasMap
+ * @returns {{pattern: string, expansions: object}|null} - Expanded pattern, or null if the query is not an alias
+ */
+export function expandGrepAlias(query, aliasMap) {
+  if (!aliasMap.has(query.toLowerCase())) return null;
+
+  const alternatives = expandAlias(query, aliasMap);
+  // Longest first: alternation takes the first branch that matches, so
+  // "auth" before "authentication" would only ever match "auth"
+  const escaped = [...alternatives]
+    .sort((a, b) => b.length - a.length)
+    .map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+  return {
+    pattern: `(?:${escaped.join('|')})`,
+    expansions: { [query]: alternatives.slice(1) },
+  };
+}
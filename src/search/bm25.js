@@ -0,0 +1,154 @@
+/**
+ * BM25F relevance scoring
+ *
+ * Scores documents across title, description, tags and body using
+ * per-field weights and length normalization. Query terms match tokens
+ * by prefix, mirroring the forward tokenization of the FlexSearch index.
+ */
+
+import { DEFAULT_CONFIG } from '../config/constants.js';
+import { SCORED_FIELDS, tokenize } from '../index-persistence/corpus-stats.js';
+
+// Term frequency saturation
+const K1 = 1.2;
+
+// Field length normalization strength (0 = none, 1 = full)
+const B = 0.75;
+
+/**
+ * Count documents containing a token that starts with the term
+ * @param {object} stats - Corpus statistics from buildCorpusStats
+ * @param {string} term - Lowercase query term
+ * @returns {number} - Document frequency
+ */
+function documentFrequency(stats, term) {
+  const docs = new Set();
+
+  for (const [token, postings] of stats.vocabulary) {
+    if (token.startsWith(term)) {
+      for (const id of postings) docs.add(id);
+    }
+  }
+
+  return docs.size;
+}
+
+/**
+ * Sum the frequencies of all tokens in a field that start with the term
+ * @param {Map<string, number>} tf - Field term frequencies
+ * @param {string} term - Lowercase query term
+ * @returns {number} - Term frequency
+ */
+function prefixTermFrequency(tf, term) {
+  let count = 0;
+  for (const [token, freq] of tf) {
+    if (token.startsWith(term)) {
+      count += freq;
+    }
+  }
+  return count;
+}
+
+/**
+ * Score a single query token against a document's fields
+ * @param {object} stats - Corpus statistics from buildCorpusStats
+ * @param {object} fields - Per-field term frequencies and lengths of the document
+ * @param {string} token - Lowercase query token
+ * @param {number} idf - Inverse document frequency of the token
+ * @param {object} weights - Field weights
+ * @returns {{score: number, weightedTf: number, fields: object}} - Token score, combined
+ *   weighted frequency and per-field {tf, weight, weightedTf} for matched fields
+ */
+function scoreToken(stats, fields, token, idf, weights) {
+  // Combine weighted, length-normalized frequencies across fields
+  let weightedTf = 0;
+  const matched = {};
+
+  for (const field of SCORED_FIELDS) {
+    const weight = weights[field] || 0;
+    const { tf, length } = fields[field];
+    if (weight === 0 || length === 0) continue;
+
+    const freq = prefixTermFrequency(tf, token);
+    if (freq === 0) continue;
+
+    const norm = 1 - B + B * (length / stats.avgFieldLengths[field]);
+    const fieldTf = (weight * freq) / norm;
+    weightedTf += fieldTf;
+    matched[field] = { tf: freq, weight, weightedTf: fieldTf };
+  }
+
+  const score = weightedTf > 0 ? (idf * weightedTf) / (K1 + weightedTf) : 0;
+  return { score, weightedTf, fields: matched };
+}
+
+/**
+ * Create a BM25F scorer for a set of query terms
+ * The returned function also has an `explain(doc)` method that breaks the
+ * score down per token and field.
+ * @param {object} stats - Corpus statistics from buildCorpusStats
+ * @param {string[]} terms - Raw query terms (may contain several words each)
+ * @param {object} weights - Field weights (title, description, tags, body)
+ * @returns {(doc: object) => number} - Function returning the raw BM25F score (higher is better)
+ */
+export function createBM25Scorer(
+  stats,
+  terms,
+  weights = DEFAULT_CONFIG.fuzzy.weights
+) {
+  const queryTokens = [...new Set(terms.flatMap((term) => tokenize(term)))];
+  const N = stats?.documentCount || 0;
+
+  // Inverse document frequency per query token (BM25 "plus one" variant, never negative)
+  const idf = new Map();
+  for (const token of queryTokens) {
+    const df = N ? documentFrequency(stats, token) : 0;
+    idf.set(token, Math.log(1 + (N - df + 0.5) / (df + 0.5)));
+  }
+
+  const score = (doc) => {
+    const fields = stats?.documents.get(doc.id);
+    if (!fields) return 0;
+
+    let total = 0;
+    for (const token of queryTokens) {
+      total += scoreToken(stats, fields, token, idf.get(token), weights).score;
+    }
+    return total;
+  };
+
+  /**
+   * Break a document's score down per token and field
+   * A token's score is split across fields in proportion to their weighted
+   * frequencies (BM25F saturates the combined frequency, not each field)
+   * @param {object} doc - Document with id
+   * @returns {{score: number, terms: Array<{term: string, idf: number, score: number, fields: object}>}}
+   */
+  score.explain = (doc) => {
+    const fields = stats?.documents.get(doc.id);
+    const explained = queryTokens.map((token) => {
+      const tokenIdf = idf.get(token);
+      const result = fields
+        ? scoreToken(stats, fields, token, tokenIdf, weights)
+        : { score: 0, weightedTf: 0, fields: {} };
+
+      const fieldScores = {};
+      for (const [field, { tf, weight, weightedTf }] of Object.entries(result.fields)) {
+        fieldScores[field] = {
+          tf,
+          weight,
+          score: (result.score * weightedTf) / result.weightedTf,
+        };
+      }
+
+      return { term: token, idf: tokenIdf, score: result.score, fields: fieldScores };
+    });
+
+    return {
+      score: explained.reduce((sum, t) => sum + t.score, 0),
+      terms: explained,
+    };
+  };
+
+  return score;
+}
@@ -0,0 +1,161 @@
+/**
+ * Field-scoped query terms
+ *
+ * Matches `field:value` query terms against indexed document fields:
+ * title, description, tags, path and arbitrary frontmatter keys
+ */
+
+import { matchGlobPattern, matchSegment } from '../files/glob.js';
+
+// Values containing these characters are matched as glob patterns
+const GLOB_CHARS = /[*?]/;
+
+// Fields every document has, whether or not its frontmatter sets them
+const BUILTIN_FIELDS = new Set(['title', 'description', 'tag', 'tags', 'path']);
+
+// Dates serialized into the persisted index (YAML dates without a time)
+const SERIALIZED_DATE = /^(\d{4}-\d{2}-\d{2})T00:00:00(?:\.000)?Z$/;
+
+/**
+ * Convert a frontmatter value into a comparable string
+ * YAML dates become YYYY-MM-DD whether parsed fresh or loaded from the index
+ * @param {*} value - Frontmatter value
+ * @returns {string} - Comparable string
+ */
+export function toComparableString(value) {
+  if (value instanceof Date) {
+    return toComparableString(value.toISOString());
+  }
+  const str = String(value);
+  const date = str.match(SERIALIZED_DATE);
+  return date ? date[1] : str;
+}
+
+/**
+ * Look up a frontmatter value by key
+ * Supports dotted paths for nested objects; falls back to a
+ * case-insensitive key match
+ * @param {object} frontmatter - Parsed frontmatter
+ * @param {string} key - Key or dotted path (e.g. "meta.owner")
+ * @returns {*} - Value or undefined
+ */
+export function getFrontmatterValue(frontmatter, key) {
+  let value = frontmatter;
+
+  for (const part of key.split('.')) {
+    if (!value || typeof value !== 'object') return undefined;
+
+    if (part in value) {
+      value = value[part];
+    } else {
+      const match = Object.keys(value).find(
+        (k) => k.toLowerCase() === part.toLowerCase()
+      );
+      if (match === undefined) return undefined;
+      value = value[match];
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Flatten a frontmatter value into a list of comparable strings
+ * @param {*} value - Frontmatter value (scalar or array)
+ * @returns {string[]}
+ */
+export function toValueList(value) {
+  if (value === undefined || value === null) return [];
+  if (Array.isArray(value)) return value.flatMap(toValueList);
+  if (typeof value === 'object' && !(value instanceof Date)) return [];
+  return [toComparableString(value)];
+}
+
+/**
+ * Match a value exactly (case-insensitive), or as a glob when it has wildcards
+ * @param {string} actual - Field value
+ * @param {string} expected - Query value
+ * @returns {boolean}
+ */
+export function matchesValue(actual, expected) {
+  const a = actual.toLowerCase();
+  const e = expected.toLowerCase();
+  return GLOB_CHARS.test(e) ? matchSegment(a, e) : a === e;
+}
+
+/**
+ * Match text by case-insensitive substring, or as a glob when it has wildcards
+ * @param {string} text - Field text
+ * @param {string} expected - Query value
+ * @returns {boolean}
+ */
+function matchesText(text, expected) {
+  if (!text) return false;
+  const t = text.toLowerCase();
+  const e = expected.toLowerCase();
+  return GLOB_CHARS.test(e) ? matchSegment(t, e) : t.includes(e);
+}
+
+/**
+ * Check whether a document matches a field-scoped term
+ * - title: / description: - substring of the title or description
+ * - tag: / tags: - one of the frontmatter tags
+ * - path: - glob against the relative file path (substring without wildcards)
+ * - any other key - frontmatter value (arrays match any element)
+ * `*` and `?` wildcards are supported in every value.
+ * @param {object} doc - Indexed document
+ * @param {string} field - Field name
+ * @param {string} value - Value to match
+ * @returns {boolean}
+ */
+export function matchesFieldTerm(doc, field, value) {
+  const frontmatter = doc.frontmatter || {};
+
+  switch (field.toLowerCase()) {
+    case 'title':
+      return matchesText(doc.title, value) || matchesText(doc.docTitle, value);
+
+    case 'description':
+      return matchesText(frontmatter.description ?? doc.description, value);
+
+    case 'tag':
+    case 'tags': {
+      const tags = typeof frontmatter.tags === 'string'
+        ? frontmatter.tags.split(/[\s,]+/)
+        : toValueList(frontmatter.tags);
+      return tags.some((tag) => matchesValue(tag, value));
+    }
+
+    case 'path': {
+      const path = (doc.file || '').replace(/\\/g, '/');
+      return GLOB_CHARS.test(value)
+        ? matchGlobPattern(path, value)
+        : path.toLowerCase().includes(value.toLowerCase());
+    }
+
+    default:
+      return toValueList(getFrontmatterValue(frontmatter, field)).some(
+        (actual) => matchesValue(actual, value)
+      );
+  }
+}
+
+/**
+ * Create a check for field names that field:value terms may use: the built-in
+ * fields and any frontmatter key (or dotted path) set in at least one document
+ * @param {Array<object>} documents - Indexed documents
+ * @returns {(field: string) => boolean}
+ */
+export function createFieldChecker(documents) {
+  const known = new Map();
+  return (field) => {
+    const name = field.toLowerCase();
+    if (BUILTIN_FIELDS.has(name)) return true;
+    if (!known.has(name)) {
+      known.set(name, documents.some(
+        (doc) => getFrontmatterValue(doc.frontmatter || {}, field) !== undefined
+      ));
+    }
+    return known.get(name);
+  };
+}
@@ -0,0 +1,88 @@
+/**
+ * Frontmatter filters (--where)
+ *
+ * Filters have the form `key<op>value`, e.g. `category=guide`,
+ * `tags~=security` or `lastUpdated>2025-01-01`
+ */
+
+import {
+  getFrontmatterValue,
+  toValueList,
+  matchesValue,
+} from './fields.js';
+
+// Longer operators first so `>=` is not read as `>`
+const FILTER_PATTERN = /^\s*([^\s=!~<>]+)\s*(~=|!=|>=|<=|=|>|<)\s*(.*?)\s*$/;
+
+// Numbers compare numerically, everything else (including dates) as strings
+const NUMERIC = /^-?\d+(?:\.\d+)?$/;
+
+/**
+ * Parse a --where filter expression
+ * @param {string} expression - Filter such as "status=draft"
+ * @returns {{key: string, op: string, value: string}|null} - Parsed filter, or null if invalid
+ */
+export function parseWhereFilter(expression) {
+  const match = String(expression).match(FILTER_PATTERN);
+  if (!match) return null;
+
+  // Allow quoting values that contain operators or spaces
+  const value = match[3].replace(/^(["'])(.*)\1$/, '$2');
+  return { key: match[1], op: match[2], value };
+}
+
+/**
+ * Compare two values, numerically when both are numbers
+ * @param {string} a - Frontmatter value
+ * @param {string} b - Filter value
+ * @returns {number} - Negative, zero or positive
+ */
+function compareValues(a, b) {
+  if (NUMERIC.test(a) && NUMERIC.test(b)) {
+    return Number(a) - Number(b);
+  }
+  return a.localeCompare(b);
+}
+
+/**
+ * Check whether frontmatter satisfies a single filter
+ * Array values match when any element matches; missing keys only
+ * satisfy `!=`
+ * @param {object} frontmatter - Parsed frontmatter
+ * @param {{key: string, op: string, value: string}} filter - Parsed filter
+ * @returns {boolean}
+ */
+export function matchesWhereFilter(frontmatter, { key, op, value }) {
+  const values = toValueList(getFrontmatterValue(frontmatter || {}, key));
+
+  switch (op) {
+    case '=':
+      return values.some((actual) => matchesValue(actual, value));
+    case '!=':
+      return !values.some((actual) => matchesValue(actual, value));
+    case '~=':
+      return values.some((actual) =>
+        actual.toLowerCase().includes(value.toLowerCase())
+      );
+    case '>':
+      return values.some((actual) => compareValues(actual, value) > 0);
+    case '>=':
+      return values.some((actual) => compareValues(actual, value) >= 0);
+    case '<':
+      return values.some((actual) => compareValues(actual, value) < 0);
+    case '<=':
+      return values.some((actual) => compareValues(actual, value) <= 0);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check whether frontmatter satisfies all filters
+ * @param {object} frontmatter - Parsed frontmatter
+ * @param {Array} filters - Parsed filters
+ * @returns {boolean}
+ */
+export function matchesWhereFilters(frontmatter, filters) {
+  return !filters || filters.every((filter) => matchesWhereFilter(frontmatter, filter));
+}
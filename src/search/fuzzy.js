@@ -5,43 +5,186 @@
 import { DEFAULT_CONFIG } from '../config/constants.js';
 import { filterFrontmatter } from '../parsing/markdown.js';
 import { extractSmartContext } from '../parsing/context.js';
-import { buildOrLoadIndex } from '../index-persistence/flexsearch-index.js';
+import { parseHeadingPath, matchesHeadingPath } from '../parsing/sections.js';
+import { createBM25Scorer } from './bm25.js';
+import { buildAliasMap } from './aliases.js';
+import { parseExtendedQuery } from './query.js';
+import { matchesFieldTerm, createFieldChecker } from './fields.js';
+import { correctTerm } from './typo.js';
+import { buildSuggestions } from './suggestions.js';
+import { matchesWhereFilters } from './filters.js';
+import { findTermHighlights } from './highlights.js';
+import {
+  sortResults,
+  getModifiedTime,
+  getFrontmatterSortValue,
+} from './sorting.js';
+import { tokenize } from '../index-persistence/corpus-stats.js';
+import {
+  buildOrLoadIndex,
+  resolveFieldWeights,
+} from '../index-persistence/flexsearch-index.js';
 
 // Minimum preview length threshold for short context extension
 const MIN_PREVIEW_LENGTH = 80;
 
+// Maximum FlexSearch candidates per term before BM25F re-ranking
+const CANDIDATE_LIMIT = 1000;
+
+/**
+ * Collect documents matching any alternative of a term
+ * @param {Document} index - FlexSearch Document instance
+ * @param {string[]} alternatives - The term and its alias synonyms
+ * @returns {Set<string>} - Ids of matching documents
+ */
+function searchTerm(index, alternatives) {
+  const ids = new Set();
+
+  for (const alternative of alternatives) {
+    // Multi-word alternatives (e.g. from aliases) must match every word
+    const altIds = searchAllWords(index, alternative.split(/\s+/));
+    for (const id of altIds) ids.add(id);
+  }
+
+  return ids;
+}
+
 /**
- * Parse extended search query into terms
- * Supports Fuse.js-style operators:
- * - 'term - exact substring match
- * - !term - exclude results containing term
- * - space - AND (all terms must match)
- *
- * @param {string} query - Raw query string
- * @returns {{includes: string[], excludes: string[], exact: string[]}}
+ * Collect documents matching every word
+ * @param {Document} index - FlexSearch Document instance
+ * @param {string[]} words - Words that must all match
+ * @returns {Set<string>} - Ids of matching documents
  */
-function parseExtendedQuery(query) {
-  const includes = [];
-  const excludes = [];
-  const exact = [];
-
-  // Split by spaces but preserve quoted strings
-  const parts = query.match(/(?:[^\s"]+|"[^"]*")+/g) || [];
-
-  for (const part of parts) {
-    if (part.startsWith("'")) {
-      // Exact match - remove the prefix
-      exact.push(part.slice(1));
-    } else if (part.startsWith('!')) {
-      // Negation - remove the prefix
-      excludes.push(part.slice(1).toLowerCase());
-    } else {
-      // Normal search term
-      includes.push(part);
+function searchAllWords(index, words) {
+  let ids = null;
+
+  for (const word of words.filter(w => w.length > 0)) {
+    const wordIds = new Set();
+    const wordResults = index.search(word, { limit: CANDIDATE_LIMIT });
+
+    for (const fieldResult of wordResults) {
+      for (const id of fieldResult.result || []) {
+        wordIds.add(id);
+      }
     }
+
+    ids = ids === null ? wordIds : intersect(ids, wordIds);
   }
 
-  return { includes, excludes, exact };
+  return ids || new Set();
+}
+
+/**
+ * Intersect two id sets
+ * @param {Set<string>} a - First set
+ * @param {Set<string>} b - Second set
+ * @returns {Set<string>}
+ */
+function intersect(a, b) {
+  return new Set([...a].filter(id => b.has(id)));
+}
+
+/**
+ * Filter an id set by a document predicate
+ * @param {Iterable<string>} ids - Candidate ids
+ * @param {Map} docById - Documents by id
+ * @param {(doc: object) => boolean} predicate - Filter predicate
+ * @returns {Set<string>}
+ */
+function filterIds(ids, docById, predicate) {
+  const result = new Set();
+  for (const id of ids) {
+    const doc = docById.get(id);
+    if (doc && predicate(doc)) result.add(id);
+  }
+  return result;
+}
+
+/**
+ * Evaluate a parsed query node into the set of matching document ids
+ * @param {object} node - AST node from parseExtendedQuery
+ * @param {object} context - Evaluation context
+ * @param {Document} context.index - FlexSearch Document instance
+ * @param {Map} context.docById - All indexed documents by id
+ * @returns {Set<string>} - Ids of matching documents
+ */
+function evaluateQuery(node, context) {
+  const { index, docById } = context;
+
+  switch (node.type) {
+    case 'term':
+      return searchTerm(index, node.alternatives);
+
+    case 'phrase':
+      // Narrow down with the index, then check word adjacency
+      return filterIds(searchAllWords(index, node.words), docById, doc =>
+        matchesPhrase(doc, node.words)
+      );
+
+    case 'exact':
+      return filterIds(docById.keys(), docById, doc =>
+        matchesExactTerms(doc, [node.value])
+      );
+
+    case 'field':
+      return filterIds(docById.keys(), docById, doc =>
+        matchesFieldTerm(doc, node.field, node.value)
+      );
+
+    case 'not': {
+      const { child } = node;
+      // Plain negated terms keep the substring exclusion semantics
+      if (child.type === 'term') {
+        return filterIds(docById.keys(), docById, doc =>
+          !matchesExcludeTerms(doc, [child.value.toLowerCase()])
+        );
+      }
+      const excluded = evaluateQuery(child, context);
+      return filterIds(docById.keys(), docById, doc => !excluded.has(doc.id));
+    }
+
+    case 'and':
+      return node.children
+        .map(child => evaluateQuery(child, context))
+        .reduce((acc, ids) => intersect(acc, ids));
+
+    case 'or': {
+      const ids = new Set();
+      for (const child of node.children) {
+        for (const id of evaluateQuery(child, context)) ids.add(id);
+      }
+      return ids;
+    }
+
+    default:
+      return new Set();
+  }
+}
+
+/**
+ * Check if a document contains the words of a phrase next to each other
+ * Words may be separated by any whitespace or punctuation
+ * @param {object} doc - Document to check
+ * @param {string[]} words - Phrase words
+ * @returns {boolean}
+ */
+function matchesPhrase(doc, words) {
+  const escaped = words.map(word =>
+    word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  );
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{N}_])${escaped.join('[^\\p{L}\\p{N}_]+')}(?![\\p{L}\\p{N}_])`,
+    'iu'
+  );
+
+  const searchText = [
+    doc.title || '',
+    doc.body || '',
+    doc.description || '',
+    doc.tags || '',
+  ].join('\n');
+
+  return pattern.test(searchText);
 }
 
 /**
@@ -253,38 +396,97 @@ function extractTitleMatchPreview(body, title, maxLines = 10) {
 }
 
 /**
- * Calculate a simple relevance score based on where matches are found
- * @param {object} doc - Document object
- * @param {string[]} terms - Search terms
- * @returns {number} - Score (lower is better, like Fuse.js)
+ * Convert a raw BM25F score into the result score (0-1, lower is better, like Fuse.js)
+ * @param {number} bm25 - Raw BM25F score (higher is better)
+ * @returns {number} - Result score
  */
-function calculateScore(doc, terms) {
-  if (terms.length === 0) return 1;
+function toResultScore(bm25) {
+  return 1 / (1 + bm25);
+}
 
-  let score = 1;
-  const titleLower = (doc.title || '').toLowerCase();
-  const bodyLower = (doc.body || '').toLowerCase();
-  const descLower = (doc.description || '').toLowerCase();
-  const tagsLower = (doc.tags || '').toLowerCase();
+/**
+ * Round a number for explanation output
+ * @param {number} value - Number to round
+ * @returns {number} - Value rounded to 3 decimal places
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
 
-  for (const term of terms) {
-    const cleanTerm = term.toLowerCase().replace(/^['!]/, '');
+/**
+ * Map scored tokens back to the query terms they came from
+ * @param {object} expansions - Alias name to synonyms
+ * @param {object} corrections - Misspelled term to corrected term
+ * @returns {Map<string, object>} - Token to {aliasOf} or {correctedFrom}
+ */
+function buildTermSources(expansions, corrections) {
+  const sources = new Map();
 
-    // Title matches are most important
-    if (titleLower.includes(cleanTerm)) {
-      score *= 0.1;
-    }
-    // Description and tags are next
-    else if (descLower.includes(cleanTerm) || tagsLower.includes(cleanTerm)) {
-      score *= 0.3;
+  for (const [alias, synonyms] of Object.entries(expansions)) {
+    for (const token of tokenize(synonyms.join(' '))) {
+      if (!sources.has(token)) sources.set(token, { aliasOf: alias });
     }
-    // Body matches are least weighted
-    else if (bodyLower.includes(cleanTerm)) {
-      score *= 0.6;
+  }
+  for (const [term, corrected] of Object.entries(corrections)) {
+    for (const token of tokenize(corrected)) {
+      sources.set(token, { correctedFrom: term });
     }
   }
 
-  return Math.min(score, 0.99);
+  return sources;
+}
+
+/**
+ * Build the score explanation for a result
+ * @param {{score: number, terms: Array}} breakdown - From the BM25F scorer's explain()
+ * @param {{score: number, relevance: number}} result - Ranked result
+ * @param {Map<string, object>} termSources - From buildTermSources
+ * @returns {{score: number, relevance: number, bm25: number, terms: Array}} - Explanation
+ *   with per-term idf, contribution and per-field contributions (matched terms only)
+ */
+function explainResult(breakdown, result, termSources) {
+  return {
+    score: round(result.score),
+    relevance: round(result.relevance),
+    bm25: round(breakdown.score),
+    terms: breakdown.terms
+      .filter((t) => t.score > 0)
+      .map((t) => ({
+        term: t.term,
+        ...termSources.get(t.term),
+        idf: round(t.idf),
+        score: round(t.score),
+        fields: Object.fromEntries(
+          Object.entries(t.fields).map(([field, f]) => [
+            field,
+            { tf: f.tf, weight: f.weight, score: round(f.score) },
+          ])
+        ),
+      })),
+  };
+}
+
+/**
+ * Get the value a ranked find result is sorted by
+ * @param {{doc: object, score: number}} result - Ranked result
+ * @param {{key: string, field?: string}} sort - Parsed sort spec
+ * @returns {*} - Sort value
+ */
+function getFindSortValue({ doc, score }, sort) {
+  switch (sort.key) {
+    case 'score':
+      return score;
+    case 'path':
+      return doc.file;
+    case 'title':
+      return doc.docTitle ?? doc.title;
+    case 'mtime':
+      return getModifiedTime(doc.path);
+    case 'fm':
+      return getFrontmatterSortValue(doc.frontmatter, sort);
+    default:
+      return undefined;
+  }
 }
 
 /**
@@ -293,128 +495,142 @@ function calculateScore(doc, terms) {
  * @param {string} query - Search query
  * @param {object} options - Search options
  * @param {number} options.limit - Maximum results to return
+ * @param {number} options.offset - Number of ranked results to skip (default: 0)
+ * @param {number} options.minScore - Minimum relevance (0-1, relative to the best
+ *   match) a result needs (defaults to config.fuzzy.minScore)
+ * @param {object} options.sort - Parsed sort spec from parseSortSpec (default: by score)
  * @param {boolean} options.raw - Disable adaptive previews
  * @param {object} options.config - Configuration object
  * @param {boolean} options.rebuildIndex - Force rebuild of search index
+ * @param {number|string} options.jobs - Worker threads for index building (default: config.jobs)
+ * @param {boolean} options.sections - Search heading sections instead of whole files
+ *   (defaults to config.index.sections)
+ * @param {string} options.under - Only return sections under this heading path
+ *   (e.g. "Setup > Prerequisites", see extractSection); implies sections
+ * @param {boolean} options.aliases - Expand config aliases (default: true)
+ * @param {Array} options.where - Frontmatter filters from parseWhereFilter (optional)
+ * @param {boolean} options.explain - Add a score breakdown to each result (`explain`)
+ * @param {object} options.report - Optional object that receives search metadata
+ *   (expansions: alias name to synonyms applied; corrections: misspelled term
+ *   to the term searched instead; suggestions: close words and headings when
+ *   nothing matched; total: number of matches before offset and limit)
  * @returns {Promise<Array>} - Array of search results
  */
 export async function fuzzySearch(files, query, options) {
   const config = options.config || DEFAULT_CONFIG;
   const previewConfig = config.preview || DEFAULT_CONFIG.preview;
+  const weights = resolveFieldWeights(config);
   const forceRebuild = options.rebuildIndex || false;
+  const indexConfig = config.index || DEFAULT_CONFIG.index;
+  const sections = Boolean(options.under) || (options.sections ?? indexConfig.sections ?? false);
 
-  // Parse extended search syntax
-  const { includes, excludes, exact } = parseExtendedQuery(query);
+  // Use cached index when possible
+  const { index, documents, stats } = await buildOrLoadIndex(files, config, {
+    forceRebuild,
+    sections,
+    jobs: options.jobs,
+  });
 
-  // Build search query for FlexSearch (use includes only)
-  const searchQuery = includes.join(' ');
+  // Parse extended search syntax (with alias expansion unless disabled),
+  // correcting single-word terms that match nothing in the vocabulary
+  const aliasMap = options.aliases === false
+    ? new Map()
+    : buildAliasMap(config.aliases);
+  const threshold = config.fuzzy?.threshold ?? DEFAULT_CONFIG.fuzzy.threshold;
+  const correct = (term) => {
+    const tokens = tokenize(term);
+    if (tokens.length !== 1 || tokens[0] !== term.toLowerCase()) return null;
+    return correctTerm(term, stats.vocabulary, threshold);
+  };
+  const { ast, terms, fields, expansions, corrections } = parseExtendedQuery(
+    query,
+    aliasMap,
+    { correct, isField: createFieldChecker(documents) }
+  );
 
-  // Use cached index when possible
-  const { index, documents } = await buildOrLoadIndex(files, config, forceRebuild);
+  if (options.report && Object.keys(expansions).length > 0) {
+    options.report.expansions = expansions;
+  }
+  if (options.report && Object.keys(corrections).length > 0) {
+    options.report.corrections = corrections;
+  }
 
-  // If no search query and no exact terms, return empty
-  if (!searchQuery && exact.length === 0) {
+  // Queries without any positive term (e.g. only exclusions) match nothing
+  if (!ast || (terms.length === 0 && fields.length === 0)) {
     return [];
   }
 
-  let results;
-
-  if (searchQuery) {
-    // Split query into individual words for AND search
-    const searchTerms = searchQuery.split(/\s+/).filter(t => t.length > 0);
-
-    if (searchTerms.length === 0) {
-      results = [];
-    } else if (searchTerms.length === 1) {
-      // Single term - simple search
-      const searchResults = index.search(searchTerms[0], {
-        limit: options.limit * 3,
-        enrich: true,
-      });
-
-      const docMap = new Map();
-      for (const fieldResult of searchResults) {
-        if (fieldResult.result) {
-          for (const item of fieldResult.result) {
-            if (!docMap.has(item.id)) {
-              docMap.set(item.id, item.doc);
-            }
-          }
-        }
-      }
-      results = Array.from(docMap.values());
-    } else {
-      // Multiple terms - AND search (intersection of results)
-      let intersectionIds = null;
-      const docById = new Map();
-
-      for (const term of searchTerms) {
-        const termResults = index.search(term, {
-          limit: 1000, // Get all matches for intersection
-          enrich: true,
-        });
-
-        const termIds = new Set();
-        for (const fieldResult of termResults) {
-          if (fieldResult.result) {
-            for (const item of fieldResult.result) {
-              termIds.add(item.id);
-              if (!docById.has(item.id)) {
-                docById.set(item.id, item.doc);
-              }
-            }
-          }
-        }
-
-        if (intersectionIds === null) {
-          intersectionIds = termIds;
-        } else {
-          // Intersect: keep only IDs that appear in both sets
-          intersectionIds = new Set([...intersectionIds].filter(id => termIds.has(id)));
-        }
-      }
+  // Evaluate AND / OR / NOT over the FlexSearch result sets
+  const underPath = options.under ? parseHeadingPath(options.under) : null;
+  const isCandidate = doc =>
+    matchesWhereFilters(doc.frontmatter, options.where) &&
+    (!underPath || matchesHeadingPath(doc.heading ? doc.heading.split(' > ') : [], underPath));
+
+  const docById = new Map(documents.map(doc => [doc.id, doc]));
+  const matchedIds = evaluateQuery(ast, { index, docById });
+
+  // Calculate BM25F scores (alias synonyms and phrase words count towards relevance)
+  const scoreDocument = createBM25Scorer(stats, terms, weights);
+  const termSources = options.explain
+    ? buildTermSources(expansions, corrections)
+    : null;
+  let results = [...matchedIds]
+    .map(id => docById.get(id))
+    .filter(doc => doc && isCandidate(doc))
+    .map(doc => {
+      const bm25 = scoreDocument(doc);
+      return { doc, bm25, score: toResultScore(bm25) };
+    });
+
+  // Relevance relative to the best match (0-1); filter-only queries score 0 everywhere
+  const bestScore = Math.max(0, ...results.map(r => r.bm25));
+  for (const result of results) {
+    result.relevance = bestScore > 0 ? result.bm25 / bestScore : 1;
+  }
 
-      results = intersectionIds
-        ? Array.from(intersectionIds).map(id => docById.get(id)).filter(Boolean)
-        : [];
+  // Suggest nearby words and headings when nothing matched
+  if (results.length === 0 && options.report) {
+    const candidates = documents.filter(isCandidate);
+    const suggestions = buildSuggestions(terms, candidates, stats);
+    if (suggestions) {
+      options.report.suggestions = suggestions;
     }
-  } else {
-    // Only exact terms, search all documents
-    results = documents;
   }
 
-  // Apply exact match filter
-  if (exact.length > 0) {
-    results = results.filter(doc => matchesExactTerms(doc, exact));
+  // Drop weak matches below the minimum relevance
+  const minScore = options.minScore ?? config.fuzzy?.minScore ?? 0;
+  if (minScore > 0) {
+    results = results.filter(r => r.relevance >= minScore);
   }
 
-  // Apply exclusion filter
-  if (excludes.length > 0) {
-    results = results.filter(doc => !matchesExcludeTerms(doc, excludes));
+  // Sort by score (lower is better), then by the requested sort key
+  results.sort((a, b) => a.score - b.score);
+  if (options.sort) {
+    results = sortResults(results, options.sort, getFindSortValue);
   }
 
-  // Calculate scores and sort
-  const allTerms = [...includes, ...exact];
-  results = results.map(doc => ({
-    doc,
-    score: calculateScore(doc, allTerms),
-  }));
-
-  // Sort by score (lower is better)
-  results.sort((a, b) => a.score - b.score);
+  if (options.report) {
+    options.report.total = results.length;
+  }
 
-  // Apply limit
-  results = results.slice(0, options.limit);
+  // Apply offset and limit
+  const offset = options.offset || 0;
+  results = results.slice(
+    offset,
+    options.limit === undefined ? undefined : offset + options.limit
+  );
 
   return results.map((result, index) => {
     const doc = result.doc;
 
-    // Adaptive preview length based on rank (configurable)
+    // Adaptive preview length based on rank (configurable); pages keep the
+    // preview lengths of their absolute rank
+    const rank = offset + index;
     const previewLength = options.raw
       ? 200
-      : index < 3
+      : rank < 3
         ? previewConfig.topResults || 600
-        : index < 7
+        : rank < 7
           ? previewConfig.midResults || 300
           : previewConfig.otherResults || 150;
 
@@ -422,14 +638,13 @@ export async function fuzzySearch(files, query, options) {
     const maxLines = previewConfig.maxLines || 20;
 
     // Check if query matches title
-    const queryLower = query.toLowerCase();
     const titleLower = (doc.title || '').toLowerCase();
-    const isTitleMatch = allTerms.some(term =>
-      titleLower.includes(term.toLowerCase().replace(/^['!]/, ''))
+    const isTitleMatch = terms.some(term =>
+      titleLower.includes(term.toLowerCase())
     );
 
     // Find match position in body
-    const bodyMatch = findTermPosition(doc.body, query);
+    const bodyMatch = findTermPosition(doc.body, terms.join(' '));
 
     if (isTitleMatch && (!bodyMatch || bodyMatch.length < 3)) {
       // Title match: show title + following paragraph
@@ -458,15 +673,34 @@ export async function fuzzySearch(files, query, options) {
     // Parse frontmatter from doc (it's stored as JSON string in tags, actual frontmatter in frontmatter field)
     const frontmatter = doc.frontmatter || {};
 
-    return {
+    const output = {
       file: doc.file,
       score: result.score,
-      title: doc.title,
+      relevance: result.relevance,
+      title: doc.docTitle ?? doc.title,
       frontmatter: options.raw
         ? frontmatter
         : filterFrontmatter(frontmatter, config),
       preview,
+      highlights: findTermHighlights(preview, terms),
     };
+
+    // Section hits carry their heading path and body line range
+    if (doc.range) {
+      output.heading = doc.heading;
+      output.headingPath = doc.headingPath;
+      output.range = doc.range;
+    }
+
+    if (options.explain) {
+      output.explain = explainResult(
+        scoreDocument.explain(doc),
+        result,
+        termSources
+      );
+    }
+
+    return output;
   });
 }
 
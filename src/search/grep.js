@@ -2,79 +2,827 @@
  * Grep-style search implementation
  */
 
+import { statSync } from 'fs';
 import { DEFAULT_CONFIG } from '../config/constants.js';
 import { parseMarkdownFile, filterFrontmatter } from '../parsing/markdown.js';
 import { extractHeadings, buildHeadingPath } from '../parsing/headings.js';
+import { classifyLines } from '../parsing/blocks.js';
+import { findSectionRanges } from '../parsing/sections.js';
 import { extractSmartContext } from '../parsing/context.js';
+import { buildAliasMap, expandGrepAlias } from './aliases.js';
+import { matchesWhereFilters } from './filters.js';
+import { getScopeSegments, resolveScopes } from './scopes.js';
+import { createWorkerPool, runChunked, resolveJobs, DEFAULT_CHUNK_SIZE } from '../workers/pool.js';
+import { findPatternHighlights, mergeHighlights } from './highlights.js';
+import {
+  sortResults,
+  getModifiedTime,
+  getFrontmatterSortValue,
+} from './sorting.js';
+
+// Extra time a worker gets after the timeout before it is terminated
+const TIMEOUT_GRACE_MS = 500;
 
 /**
  * Grep-style search for exact text patterns
  * @param {Array} files - Array of file objects to search
- * @param {string} query - Search query (regex pattern)
+ * @param {string|string[]} query - Search query (regex pattern), or several patterns
+ *   of which a line must match any
  * @param {object} options - Search options
  * @param {number} options.context - Lines of context around matches
  * @param {boolean} options.caseSensitive - Case sensitive search
  * @param {boolean} options.raw - Disable smart context
  * @param {object} options.config - Configuration object
+ * @param {boolean} options.aliases - Expand a query that is exactly an alias name
+ *   into a regex alternation of its synonyms (default: true)
+ * @param {object} options.report - Optional object that receives search metadata
+ *   (expansions: alias name to synonyms applied)
+ * @param {Array} options.where - Frontmatter filters from parseWhereFilter (optional)
+ * @param {object} options.sort - Parsed sort spec from parseSortSpec (default: file order)
+ * @param {boolean} options.fixedStrings - Treat patterns as literal strings, not regexes
+ * @param {boolean} options.word - Only match patterns as whole words
+ * @param {boolean} options.all - With several patterns, only return files that match
+ *   every pattern (default: any)
+ * @param {boolean} options.multiline - Match patterns against the whole body, so they can
+ *   span lines (matches report their first line and endLineNumber)
+ * @param {boolean} options.invert - Select non-blank lines that match none of the patterns
+ * @param {boolean} options.count - Return per-file counts of selected lines
+ *   ({file, count}) instead of matches
+ * @param {boolean} options.filesWithoutMatch - Return the files without any selected
+ *   line ({file, frontmatter}) instead of matches
+ * @param {string[]} options.scopes - Only match inside these kinds of content (see
+ *   GREP_SCOPES); frontmatter matches are numbered from the top of the file
+ * @param {string} options.lang - Only match inside code blocks of this language
+ * @param {string} options.under - Only match inside sections under this heading path
+ *   (e.g. "Setup > Prerequisites", see extractSection)
+ * @param {number} options.timeout - Milliseconds before the search stops with partial
+ *   results (default: config.grep.timeout, 0 disables); checked between lines, so use
+ *   grepSearchParallel to also stop a pattern stuck on one line
+ * @param {number} options.maxFileSize - Skip files larger than this many bytes
+ *   (default: config.maxFileSize, 0 disables)
+ * @param {number} options.maxMatchesPerFile - Keep at most this many matches per file
+ *   (default: config.grep.maxMatchesPerFile, 0 is unlimited)
+ * @param {object} options.report - Also receives warnings: files skipped for their size,
+ *   files whose matches were capped and searches that timed out
  * @returns {Array} - Array of search results
  */
 export function grepSearch(files, query, options) {
-  const config = options.config || DEFAULT_CONFIG;
-  const results = [];
+  const search = prepareGrep(query, options);
+  if (!search) return [];
+
+  const expired = createDeadline(search.limits.timeout);
+  const chunk = grepFiles(files, search, options, expired);
+  return finishGrep([chunk], files.length, search, options);
+}
 
-  let regex;
+/**
+ * Grep-style search spread across worker threads
+ * Files are searched in chunks on up to options.jobs threads; results come back
+ * in the same order as grepSearch. A search with a timeout always runs on at
+ * least one worker, which is terminated shortly after the timeout, so a single
+ * catastrophic line cannot hang the search (grepSearch only checks the time
+ * between lines).
+ * @param {Array} files - Array of file objects to search
+ * @param {string|string[]} query - Search query (see grepSearch)
+ * @param {object} options - grepSearch options, plus:
+ * @param {number|string} options.jobs - Worker threads (0 or "auto" uses every CPU;
+ *   1 searches on the main thread)
+ * @param {(results: Array) => void} options.onResults - Receives results in output
+ *   order as soon as each chunk and every chunk before it are done (once, with all
+ *   results, when sorting)
+ * @returns {Promise<Array>} - Array of search results
+ */
+export async function grepSearchParallel(files, query, options) {
+  const search = prepareGrep(query, options);
+  if (!search) return [];
+
+  const { timeout } = search.limits;
+  const jobs = Math.min(resolveJobs(options.jobs), Math.ceil(files.length / DEFAULT_CHUNK_SIZE));
+  if (jobs <= 1 && !(timeout > 0 && files.length > 0)) {
+    return grepChunksOnMainThread(files, search, options);
+  }
+
+  const deadline = timeout > 0 ? Date.now() + timeout : null;
+  const workerOptions = { ...options, report: undefined, onResults: undefined };
+  const pool = createWorkerPool(Math.max(1, jobs));
+  let stopped = false;
+  const stopTimer = deadline
+    ? setTimeout(() => {
+        stopped = true;
+        pool.close();
+      }, timeout + TIMEOUT_GRACE_MS)
+    : null;
+
+  let chunks;
   try {
-    regex = new RegExp(query, options.caseSensitive ? 'g' : 'gi');
-  } catch (err) {
-    console.error(`Invalid regex pattern '${query}': ${err.message}`);
-    return results;
+    chunks = await runChunked(pool, 'grep', files, {
+      payload: { query, options: workerOptions, deadline },
+      onChunk: (chunk) => {
+        if (options.onResults && !options.sort) {
+          options.onResults(chunk.entries.map((entry) => entry.result));
+        }
+      },
+      // Chunks still running when the pool is stopped count as timed out; the
+      // file that was being searched is only known when the chunk held one
+      onError: (err, items) => {
+        if (!stopped) throw err;
+        const unfinished = items.length === 1 ? items[0].relativePath : undefined;
+        return { entries: [], warnings: [], searched: 0, timedOut: true, unfinished };
+      },
+    });
+  } finally {
+    clearTimeout(stopTimer);
+    await pool.close();
+  }
+
+  const results = finishGrep(chunks, files.length, search, options);
+  if (options.onResults && options.sort) {
+    options.onResults(results);
+  }
+  return results;
+}
+
+/**
+ * Grep files chunk by chunk on the main thread, reporting each chunk's results
+ * @param {Array} files - File objects to search
+ * @param {object} search - From prepareGrep
+ * @param {object} options - grepSearchParallel options (onResults is optional)
+ * @returns {Array} - Array of search results
+ */
+function grepChunksOnMainThread(files, search, options) {
+  const expired = createDeadline(search.limits.timeout);
+  const chunks = [];
+
+  for (let i = 0; i < files.length; i += DEFAULT_CHUNK_SIZE) {
+    const chunk = grepFiles(files.slice(i, i + DEFAULT_CHUNK_SIZE), search, options, expired);
+    chunks.push(chunk);
+    if (options.onResults && !options.sort) {
+      options.onResults(chunk.entries.map((entry) => entry.result));
+    }
+    if (chunk.timedOut) break;
+  }
+
+  const results = finishGrep(chunks, files.length, search, options);
+  if (options.onResults && options.sort) {
+    options.onResults(results);
+  }
+  return results;
+}
+
+/**
+ * Worker task: grep one chunk of files
+ * @param {object} payload - From grepSearchParallel
+ * @param {Array} payload.items - File objects to search
+ * @param {string|string[]} payload.query - Search query
+ * @param {object} payload.options - grepSearch options (without callbacks or report)
+ * @param {number|null} payload.deadline - Time (ms since epoch) to stop at
+ * @returns {object} - Chunk result from grepFiles
+ */
+export function grepFileChunk({ items, query, options, deadline }) {
+  const search = prepareGrep(query, options);
+  const expired = deadline ? () => Date.now() > deadline : () => false;
+  return grepFiles(items, search, options, expired);
+}
+
+/**
+ * Compile the patterns and resolve scopes and limits for a search
+ * @param {string|string[]} query - Search query
+ * @param {object} options - grepSearch options
+ * @returns {object|null} - Search settings, or null if a pattern is invalid
+ */
+function prepareGrep(query, options) {
+  const config = options.config || DEFAULT_CONFIG;
+  const aliasMap = buildAliasMap(config.aliases);
+
+  const regexes = [];
+  for (const pattern of Array.isArray(query) ? query : [query]) {
+    const regex = compilePattern(pattern, options, aliasMap);
+    if (!regex) return null;
+    regexes.push(regex);
   }
 
-  for (const file of files) {
+  return {
+    config,
+    regexes,
+    scopes: resolveScopes(options.scopes, options.lang),
+    limits: resolveGrepLimits(options, config),
+  };
+}
+
+/**
+ * Grep a list of files
+ * @param {Array} files - File objects to search
+ * @param {object} search - From prepareGrep
+ * @param {object} options - grepSearch options
+ * @param {() => boolean} expired - From createDeadline
+ * @returns {{entries: Array<{result: object, sortValue: *}>, warnings: Array,
+ *   searched: number, timedOut: boolean, unfinished?: string}} - Results in file
+ *   order with their sort values, size and match-cap warnings, and how far the
+ *   search got before any timeout
+ */
+function grepFiles(files, search, options, expired) {
+  const { config, regexes, scopes, limits } = search;
+  const entries = [];
+  const warnings = [];
+
+  for (const [index, file] of files.entries()) {
+    if (expired()) {
+      return { entries, warnings, searched: index, timedOut: true };
+    }
+
+    const size = getFileSize(file.path);
+    if (limits.maxFileSize > 0 && size > limits.maxFileSize) {
+      warnings.push({
+        code: 'file-too-large',
+        file: file.relativePath,
+        size,
+        limit: limits.maxFileSize,
+        message: `Skipped ${file.relativePath}: ${size} bytes exceeds maxFileSize (${limits.maxFileSize})`,
+      });
+      continue;
+    }
+
     const parsed = parseMarkdownFile(file.path);
+    if (!matchesWhereFilters(parsed.frontmatter, options.where)) continue;
+
     const lines = parsed.body.split('\n');
     const headings = extractHeadings(lines);
     const matches = [];
-    const processedRanges = []; // For deduplication
-
-    lines.forEach((line, index) => {
-      regex.lastIndex = 0; // Reset before each test
-      if (regex.test(line)) {
-        const { start, end } = options.raw
-          ? {
-              start: Math.max(0, index - (options.context ?? 3)),
-              end: Math.min(lines.length - 1, index + (options.context ?? 3)),
-            }
-          : extractSmartContext(lines, index, { extendShort: true });
-
-        // Skip if this range overlaps with already processed
-        const overlaps = processedRanges.some(
-          (r) => start <= r.end && end >= r.start
-        );
-
-        if (!overlaps) {
-          processedRanges.push({ start, end });
-          matches.push({
-            lineNumber: index + 1,
-            line: line.trim(),
-            headingPath: options.raw ? null : buildHeadingPath(headings, index),
-            context: lines.slice(start, end + 1).join('\n'),
-            range: { start: start + 1, end: end + 1 },
-          });
-        }
+    const matchedPatterns = new Set();
+    let selectedLines = 0;
+    let selectionCount = 0;
+    let droppedSelections = 0;
+
+    const regions = getSearchRegions(parsed, lines, headings, scopes, options);
+    for (const region of regions) {
+      const spans = findRegionSpans(region, regexes, options, expired);
+      // A file cut short by the timeout is left out rather than reported incomplete
+      if (!spans) {
+        return { entries, warnings, searched: index, timedOut: true, unfinished: file.relativePath };
       }
-    });
+      spans.forEach((span) => matchedPatterns.add(span.pattern));
 
-    if (matches.length > 0) {
-      results.push({
+      // Selected line spans (0-based, inclusive); single lines unless multiline
+      let selections = options.invert
+        ? selectUnmatchedLines(region, spans)
+        : toLineSelections(region, spans, options.multiline);
+
+      // Keep the first matches up to the per-file cap
+      if (limits.maxMatchesPerFile > 0) {
+        const room = Math.max(0, limits.maxMatchesPerFile - selectionCount);
+        droppedSelections += Math.max(0, selections.length - room);
+        selections = selections.slice(0, room);
+      }
+      selectionCount += selections.length;
+      selectedLines += countLines(selections);
+
+      // Counts and file lists need no context
+      if (!options.count && !options.filesWithoutMatch) {
+        matches.push(...buildMatches(region, selections, spans, options));
+      }
+    }
+
+    if (droppedSelections > 0) {
+      warnings.push({
+        code: 'max-matches',
         file: file.relativePath,
-        matches,
-        frontmatter: options.raw
-          ? parsed.frontmatter
-          : filterFrontmatter(parsed.frontmatter, config),
+        limit: limits.maxMatchesPerFile,
+        total: selectionCount + droppedSelections,
+        message: `${file.relativePath}: showing ${selectionCount} of ${selectionCount + droppedSelections} matches (maxMatchesPerFile)`,
       });
     }
+
+    const hasMatch =
+      selectedLines > 0 &&
+      (!options.all || options.invert || matchedPatterns.size === regexes.length);
+    if (hasMatch === Boolean(options.filesWithoutMatch)) continue;
+
+    const frontmatter = options.raw
+      ? parsed.frontmatter
+      : filterFrontmatter(parsed.frontmatter, config);
+    const result = options.filesWithoutMatch
+      ? { file: file.relativePath, frontmatter }
+      : options.count
+        ? { file: file.relativePath, count: selectedLines }
+        : { file: file.relativePath, matches, frontmatter };
+
+    // Sort inputs are resolved here, where the parsed file is at hand
+    const sortValue = options.sort
+      ? getGrepSortValue(result, options.sort, { file, parsed, headings })
+      : undefined;
+    entries.push({ result, sortValue });
   }
 
-  return results;
+  return { entries, warnings, searched: files.length, timedOut: false };
+}
+
+/**
+ * Combine chunk results: report warnings (with one timeout warning for the
+ * whole search) and apply the requested sort
+ * @param {Array<object>} chunks - From grepFiles, in file order
+ * @param {number} total - Number of files searched for
+ * @param {object} search - From prepareGrep
+ * @param {object} options - grepSearch options
+ * @returns {Array} - Results
+ */
+function finishGrep(chunks, total, search, options) {
+  const entries = chunks.flatMap((chunk) => chunk.entries);
+  const warnings = chunks.flatMap((chunk) => chunk.warnings);
+
+  if (chunks.some((chunk) => chunk.timedOut)) {
+    const searched = chunks.reduce((sum, chunk) => sum + chunk.searched, 0);
+    const unfinished = chunks.find((chunk) => chunk.unfinished)?.unfinished;
+    warnings.push(timeoutWarning(search.limits.timeout, searched, total, unfinished));
+  }
+
+  if (options.report && warnings.length > 0) {
+    options.report.warnings = warnings;
+  }
+
+  const sorted = options.sort
+    ? sortResults(entries, options.sort, (entry) => entry.sortValue)
+    : entries;
+  return sorted.map((entry) => entry.result);
+}
+
+/**
+ * Resolve grep's safety limits from options and config
+ * @param {object} options - grepSearch options
+ * @param {object} config - Configuration object
+ * @returns {{timeout: number, maxFileSize: number, maxMatchesPerFile: number}}
+ */
+function resolveGrepLimits(options, config) {
+  const grepConfig = { ...DEFAULT_CONFIG.grep, ...config.grep };
+  return {
+    timeout: options.timeout ?? grepConfig.timeout,
+    maxFileSize: options.maxFileSize ?? config.maxFileSize ?? DEFAULT_CONFIG.maxFileSize,
+    maxMatchesPerFile: options.maxMatchesPerFile ?? grepConfig.maxMatchesPerFile,
+  };
+}
+
+/**
+ * Create a check for whether a time budget has run out
+ * @param {number} timeout - Budget in milliseconds (0 or less never expires)
+ * @returns {() => boolean}
+ */
+function createDeadline(timeout) {
+  if (!(timeout > 0)) return () => false;
+  const end = Date.now() + timeout;
+  return () => Date.now() > end;
+}
+
+/**
+ * Build the warning for a search stopped by its timeout
+ * @param {number} timeout - Timeout in milliseconds
+ * @param {number} searched - Files searched before the timeout
+ * @param {number} total - Files to search
+ * @param {string} file - File left unfinished (optional)
+ * @returns {object} - Warning
+ */
+function timeoutWarning(timeout, searched, total, file) {
+  const unfinished = file ? ` (${file} was not finished)` : '';
+  return {
+    code: 'timeout',
+    timeout,
+    searched,
+    total,
+    ...(file && { file }),
+    message: `Search timed out after ${timeout}ms: searched ${searched} of ${total} files${unfinished}; results are partial`,
+  };
+}
+
+/**
+ * Get a file's size in bytes
+ * @param {string} path - File path
+ * @returns {number} - Size, or 0 when the file cannot be read
+ */
+function getFileSize(path) {
+  try {
+    return statSync(path).size;
+  } catch (err) {
+    return 0;
+  }
+}
+
+/**
+ * Get the parts of a file to search: the body and, for the frontmatter
+ * scope, the raw frontmatter block
+ * @param {object} parsed - From parseMarkdownFile
+ * @param {string[]} lines - Body lines
+ * @param {Array} headings - Body headings
+ * @param {string[]|undefined} scopes - Resolved scopes (undefined searches the whole body)
+ * @param {object} options - grepSearch options (lang, under)
+ * @returns {Array<object>} - Regions with their text, lines, line starts, headings,
+ *   scope segments (null when unrestricted), lineOffset (file lines before them)
+ *   and, for the frontmatter, its language
+ */
+function getSearchRegions(parsed, lines, headings, scopes, options) {
+  const regions = [];
+
+  // Frontmatter is outside every heading section
+  if (scopes?.includes('frontmatter') && parsed.rawFrontmatter && !options.under) {
+    // Frontmatter lines are numbered from the top of the file (line 1 is ---)
+    const fmLines = parsed.rawFrontmatter.split('\n');
+    regions.push({
+      text: parsed.rawFrontmatter,
+      lines: fmLines,
+      lineStarts: getLineStarts(fmLines),
+      headings: [],
+      headingPath: 'frontmatter',
+      segments: null,
+      lineOffset: 0,
+      lang: 'yaml',
+    });
+  }
+
+  if (!scopes || scopes.some((scope) => scope !== 'frontmatter')) {
+    let segments = scopes ? getScopeSegments(lines, scopes, options.lang) : null;
+    if (options.under) {
+      segments = restrictToSections(lines, headings, options.under, segments);
+    }
+    regions.push({
+      text: parsed.body,
+      lines,
+      lineStarts: getLineStarts(lines),
+      headings,
+      segments,
+      lineOffset: parsed.bodyLineOffset,
+    });
+  }
+
+  return regions;
+}
+
+/**
+ * Restrict scope segments to the sections under a heading path
+ * @param {string[]} lines - Body lines
+ * @param {Array} headings - Body headings
+ * @param {string} headingPath - Heading path, e.g. "Setup > Prerequisites"
+ * @param {Array|null} segments - Scope segments per line (null for whole lines)
+ * @returns {Array<Array<{start: number, end: number}>>} - Segments per line
+ */
+function restrictToSections(lines, headings, headingPath, segments) {
+  const inSection = new Array(lines.length).fill(false);
+  for (const { start, end } of findSectionRanges(lines, headings, headingPath)) {
+    inSection.fill(true, start, end);
+  }
+
+  return lines.map((line, index) => {
+    if (!inSection[index]) return [];
+    return segments ? segments[index] : [{ start: 0, end: line.length }];
+  });
+}
+
+/**
+ * Find the in-scope matches of all patterns in a region
+ * Patterns run line by line, or against the whole text in multiline mode
+ * @param {object} region - From getSearchRegions
+ * @param {RegExp[]} regexes - Compiled patterns
+ * @param {object} options - grepSearch options
+ * @param {() => boolean} expired - From createDeadline, checked between lines
+ * @returns {Array<{start: number, end: number, pattern: number}>|null} - Match spans
+ *   (offsets into the region text) with the index of the pattern that matched,
+ *   or null when the time ran out
+ */
+function findRegionSpans(region, regexes, options, expired) {
+  const { text, lines, lineStarts, segments } = region;
+  const spans = [];
+
+  for (const [pattern, regex] of regexes.entries()) {
+    if (expired()) return null;
+
+    if (options.multiline) {
+      for (const span of findPatternHighlights(text, regex)) {
+        spans.push({ ...span, pattern });
+      }
+      continue;
+    }
+
+    for (const [index, line] of lines.entries()) {
+      // Lines without scope segments cannot match
+      if (segments && segments[index].length === 0) continue;
+      if (expired()) return null;
+      for (const { start, end } of findPatternHighlights(line, regex)) {
+        const offset = lineStarts[index];
+        spans.push({ start: offset + start, end: offset + end, pattern });
+      }
+    }
+  }
+
+  const inScope = segments
+    ? spans.filter((span) => isInSegments(region, span))
+    : spans;
+  return inScope.sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+/**
+ * Check whether a span lies within one scope segment
+ * Segments of consecutive whole lines are joined, so multiline matches can
+ * cross their line breaks
+ * @param {object} region - From getSearchRegions
+ * @param {{start: number, end: number}} span - Span in region text offsets
+ * @returns {boolean}
+ */
+function isInSegments(region, span) {
+  const { lines, lineStarts, segments } = region;
+  const first = offsetToLineIndex(lineStarts, span.start);
+  const last = offsetToLineIndex(lineStarts, Math.max(span.start, span.end - 1));
+
+  if (first === last) {
+    const start = span.start - lineStarts[first];
+    const end = span.end - lineStarts[first];
+    return segments[first].some((s) => s.start <= start && end <= s.end);
+  }
+
+  // Crossing lines requires every line to be wholly in scope (blank lines in
+  // between are allowed)
+  for (let i = first; i <= last; i++) {
+    if (i !== first && i !== last && lines[i].trim() === '') continue;
+    const whole = segments[i].some(
+      (s) => s.start === 0 && s.end === lines[i].length
+    );
+    if (!whole) return false;
+  }
+  return true;
+}
+
+/**
+ * Convert match spans into line selections
+ * @param {object} region - From getSearchRegions
+ * @param {Array<{start: number, end: number}>} spans - Sorted match spans
+ * @param {boolean} multiline - Keep each match's full line span
+ * @returns {Array<{first: number, last: number}>} - Selections in line order
+ */
+function toLineSelections(region, spans, multiline) {
+  const selections = [];
+  const seen = new Set();
+
+  for (const span of spans) {
+    const first = offsetToLineIndex(region.lineStarts, span.start);
+    const last = multiline
+      ? offsetToLineIndex(region.lineStarts, span.end - 1)
+      : first;
+    const key = `${first}:${last}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    selections.push({ first, last });
+  }
+
+  return selections;
+}
+
+/**
+ * Select the non-blank, in-scope lines outside every match (invert mode)
+ * @param {object} region - From getSearchRegions
+ * @param {Array<{start: number, end: number}>} spans - Match spans
+ * @returns {Array<{first: number, last: number}>} - One selection per line
+ */
+function selectUnmatchedLines(region, spans) {
+  const { lines, lineStarts, segments } = region;
+  const covered = new Set(
+    spans.flatMap((span) =>
+      lineRange(
+        offsetToLineIndex(lineStarts, span.start),
+        offsetToLineIndex(lineStarts, span.end - 1)
+      )
+    )
+  );
+
+  const selections = [];
+  lines.forEach((line, index) => {
+    // Inverted searches skip blank lines, which would match any pattern's inverse
+    if (covered.has(index) || line.trim() === '') return;
+    if (segments && segments[index].length === 0) return;
+    selections.push({ first: index, last: index });
+  });
+  return selections;
+}
+
+/**
+ * Build grep matches with context for line selections
+ * Overlapping contexts are deduplicated (the first selection wins)
+ * @param {object} region - From getSearchRegions
+ * @param {Array<{first: number, last: number}>} selections - Selected lines
+ * @param {Array<{start: number, end: number}>} spans - Match spans
+ * @param {object} options - grepSearch options
+ * @returns {Array<object>} - Matches
+ */
+function buildMatches(region, selections, spans, options) {
+  const { lines, lineStarts, headings } = region;
+  const matches = [];
+  const processedRanges = []; // For deduplication
+
+  for (const { first, last } of selections) {
+    const { start, end } = options.raw
+      ? {
+          start: Math.max(0, first - (options.context ?? 3)),
+          end: Math.min(lines.length - 1, last + (options.context ?? 3)),
+        }
+      : extractSpanContext(lines, first, last);
+
+    // Skip if this range overlaps with already processed
+    const overlaps = processedRanges.some(
+      (r) => start <= r.end && end >= r.start
+    );
+    if (overlaps) continue;
+
+    processedRanges.push({ start, end });
+    const text = lines.slice(first, last + 1).join('\n').trim();
+    const context = lines.slice(start, end + 1).join('\n');
+    const leading = lines[first].length - lines[first].trimStart().length;
+    // Line numbers count from the top of the file, frontmatter included
+    const lineOffset = region.lineOffset + 1;
+    const match = {
+      lineNumber: first + lineOffset,
+      line: text,
+      headingPath: options.raw
+        ? null
+        : (region.headingPath ?? buildHeadingPath(headings, first)),
+      context,
+      range: { start: start + lineOffset, end: end + lineOffset },
+      highlights: spansWithin(spans, lineStarts[first] + leading, text.length),
+      contextHighlights: spansWithin(spans, lineStarts[start], context.length),
+    };
+    if (last > first) match.endLineNumber = last + lineOffset;
+    const lang = getCodeLanguage(region, first);
+    if (lang !== undefined) match.lang = lang;
+    matches.push(match);
+  }
+
+  return matches;
+}
+
+/**
+ * Get the language of the fenced code block a region line is in
+ * Lines are classified once per region, and only for regions with matches
+ * @param {object} region - From getSearchRegions
+ * @param {number} index - Line index in the region
+ * @returns {string|undefined} - Fence language ('' when the fence has none),
+ *   or undefined outside code blocks
+ */
+function getCodeLanguage(region, index) {
+  if (region.lang !== undefined) return region.lang;
+  region.kinds ??= classifyLines(region.lines);
+  const { kind, lang } = region.kinds[index];
+  return kind === 'code' ? lang : undefined;
+}
+
+/**
+ * Get the spans that fall within a slice of the region text, relative to it
+ * @param {Array<{start: number, end: number}>} spans - Match spans
+ * @param {number} offset - Start of the slice in region text
+ * @param {number} length - Length of the slice
+ * @returns {Array<{start: number, end: number}>} - Sorted, non-overlapping spans
+ */
+function spansWithin(spans, offset, length) {
+  return mergeHighlights(
+    spans
+      .filter((span) => span.start >= offset && span.end <= offset + length)
+      .map((span) => ({ start: span.start - offset, end: span.end - offset }))
+  );
+}
+
+/**
+ * Get the character offset at which each line starts
+ * @param {string[]} lines - Lines of a text
+ * @returns {number[]}
+ */
+function getLineStarts(lines) {
+  const starts = [];
+  let offset = 0;
+  for (const line of lines) {
+    starts.push(offset);
+    offset += line.length + 1; // +1 for newline
+  }
+  return starts;
+}
+
+/**
+ * Convert a character offset to a line index (like charOffsetToLineNumber,
+ * but by binary search over precomputed line starts)
+ * A newline belongs to the line it ends.
+ * @param {number[]} lineStarts - From getLineStarts
+ * @param {number} offset - Character offset
+ * @returns {number} - Line index (0-based)
+ */
+function offsetToLineIndex(lineStarts, offset) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (lineStarts[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+}
+
+/**
+ * List the line indexes of a span
+ * @param {number} first - First line index
+ * @param {number} last - Last line index
+ * @returns {number[]}
+ */
+function lineRange(first, last) {
+  return Array.from({ length: last - first + 1 }, (_, i) => first + i);
+}
+
+/**
+ * Count the distinct lines covered by selections
+ * @param {Array<{first: number, last: number}>} selections - Line spans
+ * @returns {number}
+ */
+function countLines(selections) {
+  return new Set(
+    selections.flatMap(({ first, last }) => lineRange(first, last))
+  ).size;
+}
+
+/**
+ * Smart context covering a span of lines
+ * @param {string[]} lines - Body lines
+ * @param {number} first - First line index
+ * @param {number} last - Last line index
+ * @returns {{start: number, end: number}} - Context line range (0-based, inclusive)
+ */
+function extractSpanContext(lines, first, last) {
+  const head = extractSmartContext(lines, first, { extendShort: true });
+  if (last === first) return head;
+
+  const tail = extractSmartContext(lines, last, { extendShort: true });
+  return {
+    start: Math.min(head.start, first),
+    end: Math.max(tail.end, last),
+  };
+}
+
+/**
+ * Compile a grep pattern, applying alias expansion and the fixed-string and
+ * whole-word modes
+ * @param {string} pattern - Search pattern
+ * @param {object} options - grepSearch options
+ * @param {Map<string, string[]>} aliasMap - Map from buildAliasMap
+ * @returns {RegExp|null} - Global regex, or null if the pattern is invalid
+ */
+function compilePattern(pattern, options, aliasMap) {
+  let source = options.fixedStrings ? escapeRegExp(pattern) : pattern;
+
+  if (options.aliases !== false) {
+    const expanded = expandGrepAlias(pattern, aliasMap);
+    if (expanded) {
+      source = expanded.pattern;
+      if (options.report) {
+        options.report.expansions = {
+          ...options.report.expansions,
+          ...expanded.expansions,
+        };
+      }
+    }
+  }
+
+  if (options.word) {
+    source = `(?<!\\w)(?:${source})(?!\\w)`;
+  }
+
+  try {
+    // Multiline patterns run on the whole body, where ^ and $ still mean line boundaries
+    const flags = `${options.caseSensitive ? 'g' : 'gi'}${options.multiline ? 'm' : ''}`;
+    return new RegExp(source, flags);
+  } catch (err) {
+    console.error(`Invalid regex pattern '${pattern}': ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Escape regex special characters in a literal string
+ * @param {string} text - Literal text
+ * @returns {string} - Regex source matching the text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Get the value a grep result is sorted by
+ * @param {object} result - Grep result
+ * @param {{key: string, field?: string}} sort - Parsed sort spec
+ * @param {{file: object, parsed: object, headings: Array}} info - Source file, parsed markdown and headings
+ * @returns {*} - Sort value
+ */
+function getGrepSortValue(result, sort, { file, parsed, headings }) {
+  switch (sort.key) {
+    case 'path':
+      return result.file;
+    case 'title':
+      return parsed.frontmatter.title || headings[0]?.text || result.file;
+    case 'mtime':
+      return getModifiedTime(file.path);
+    case 'matches':
+      return result.count ?? result.matches?.length ?? 0;
+    case 'fm':
+      return getFrontmatterSortValue(parsed.frontmatter, sort);
+    default:
+      // Grep has no relevance score; keep file order
+      return undefined;
+  }
 }
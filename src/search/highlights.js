@@ -0,0 +1,74 @@
+/**
+ * Match highlighting
+ *
+ * Computes where matches occur in result text as {start, end} character
+ * offsets (end exclusive), used for JSON output and ANSI highlighting
+ */
+
+import { tokenize } from '../index-persistence/corpus-stats.js';
+
+/**
+ * Find the spans of all regex matches in a text
+ * Empty matches are skipped
+ * @param {string} text - Text to search
+ * @param {RegExp} regex - Pattern (the global flag is added if missing)
+ * @returns {Array<{start: number, end: number}>} - Match spans in order
+ */
+export function findPatternHighlights(text, regex) {
+  if (!text) return [];
+
+  const flags = regex.flags.includes('g') ? regex.flags : `${regex.flags}g`;
+  const pattern = new RegExp(regex.source, flags);
+  const highlights = [];
+
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      pattern.lastIndex++;
+      continue;
+    }
+    highlights.push({ start: match.index, end: match.index + match[0].length });
+  }
+
+  return highlights;
+}
+
+/**
+ * Sort spans and merge overlapping ones (e.g. from several patterns)
+ * @param {Array<{start: number, end: number}>} highlights - Spans in any order
+ * @returns {Array<{start: number, end: number}>} - Sorted, non-overlapping spans
+ */
+export function mergeHighlights(highlights) {
+  const merged = [];
+
+  for (const span of [...highlights].sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+    if (last && span.start < last.end) {
+      last.end = Math.max(last.end, span.end);
+    } else {
+      merged.push({ ...span });
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Find the spans of words that start with any of the search terms
+ * (matching the index's forward tokenization)
+ * @param {string} text - Text to search
+ * @param {string[]} terms - Search terms (multi-word terms highlight each word)
+ * @returns {Array<{start: number, end: number}>} - Word spans in order
+ */
+export function findTermHighlights(text, terms) {
+  // Tokens are plain word characters, so they need no escaping
+  const words = [...new Set(tokenize(terms.join(' ')))].sort(
+    (a, b) => b.length - a.length
+  );
+  if (words.length === 0) return [];
+
+  return findPatternHighlights(
+    text,
+    new RegExp(`(?<![\\p{L}\\p{N}_])(?:${words.join('|')})[\\p{L}\\p{N}_]*`, 'giu')
+  );
+}
@@ -2,7 +2,16 @@
  * Search module exports
  */
 
-export { grepSearch } from './grep.js';
+export { grepSearch, grepSearchParallel } from './grep.js';
+export { createBM25Scorer } from './bm25.js';
+export { buildAliasMap, expandAlias, expandGrepAlias } from './aliases.js';
+export { matchesFieldTerm, getFrontmatterValue, createFieldChecker } from './fields.js';
+export { editDistance, correctTerm } from './typo.js';
+export { buildSuggestions, suggestTerms, suggestHeadings } from './suggestions.js';
+export { parseWhereFilter, matchesWhereFilter, matchesWhereFilters } from './filters.js';
+export { parseSortSpec, sortResults, resolveOffset } from './sorting.js';
+export { findPatternHighlights, findTermHighlights } from './highlights.js';
+export { GREP_SCOPES } from './scopes.js';
 export {
   fuzzySearch,
   findBestMatchFromIndices,
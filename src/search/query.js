@@ -0,0 +1,270 @@
+/**
+ * Extended query syntax parser for fuzzy search
+ *
+ * Grammar (AND binds tighter than OR):
+ *   query   := or
+ *   or      := and ('|' and)*
+ *   and     := unary+
+ *   unary   := '!' unary | primary
+ *   primary := '(' or ')' | "phrase" | 'exact | '"exact phrase" | field:value | term
+ */
+
+import { expandAlias } from './aliases.js';
+
+// Field-scoped term: optional "-" negation, field name, colon and value
+const FIELD_TERM = /^(-?)([A-Za-z_][\w.-]*):(.*)$/;
+
+// Values that make a field-like word a URL (https://..., file://...)
+const URL_VALUE = /^\/\//;
+
+/**
+ * Split a query string into tokens
+ * @param {string} query - Raw query string
+ * @param {(field: string) => boolean} isField - Whether a name is a known field;
+ *   other field:value words are plain terms (optional, all names by default)
+ * @returns {Array<{type: string, value?: string}>} - Tokens
+ */
+function tokenizeQuery(query, isField = () => true) {
+  const tokens = [];
+  let i = 0;
+
+  const readQuoted = () => {
+    // Starts at an opening quote; an unclosed quote runs to the end
+    const end = query.indexOf('"', i + 1);
+    const value = query.slice(i + 1, end === -1 ? query.length : end);
+    i = end === -1 ? query.length : end + 1;
+    return value;
+  };
+
+  const readWord = () => {
+    const start = i;
+    while (i < query.length && !/[\s()|"]/.test(query[i])) i++;
+    return query.slice(start, i);
+  };
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')' || char === '|') {
+      tokens.push({ type: char });
+      i++;
+    } else if (char === '!') {
+      tokens.push({ type: '!' });
+      i++;
+    } else if (char === '"') {
+      tokens.push({ type: 'phrase', value: readQuoted() });
+    } else if (char === "'") {
+      i++;
+      const value = query[i] === '"' ? readQuoted() : readWord();
+      tokens.push({ type: 'exact', value });
+    } else {
+      const word = readWord();
+      const match = word.match(FIELD_TERM);
+      const field = match && !URL_VALUE.test(match[3]) && isField(match[2]) ? match : null;
+
+      // field:value or field:"quoted value", with -field:value negation
+      const value = field && !field[3] && query[i] === '"' ? readQuoted() : field?.[3];
+      if (value) {
+        if (field[1]) tokens.push({ type: '!' });
+        tokens.push({ type: 'field', field: field[2], value });
+      } else {
+        tokens.push({ type: 'term', value: word });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse tokens into an AST
+ * Unbalanced parentheses and dangling operators are tolerated
+ * @param {Array} tokens - Tokens from tokenizeQuery
+ * @param {Map<string, string[]>} aliasMap - Aliases from buildAliasMap
+ * @returns {object|null} - AST root node or null for an empty query
+ */
+function parseTokens(tokens, aliasMap) {
+  let pos = 0;
+
+  const parseOr = () => {
+    const children = [];
+    let node = parseAnd();
+    if (node) children.push(node);
+
+    while (tokens[pos]?.type === '|') {
+      pos++;
+      node = parseAnd();
+      if (node) children.push(node);
+    }
+
+    if (children.length === 0) return null;
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = () => {
+    const children = [];
+
+    while (pos < tokens.length && tokens[pos].type !== '|' && tokens[pos].type !== ')') {
+      const node = parseUnary();
+      if (node) children.push(node);
+    }
+
+    if (children.length === 0) return null;
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseUnary = () => {
+    if (tokens[pos].type === '!') {
+      pos++;
+      if (pos >= tokens.length || tokens[pos].type === '|' || tokens[pos].type === ')') {
+        return null;
+      }
+      const child = parseUnary();
+      return child ? { type: 'not', child } : null;
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[pos++];
+
+    if (token.type === '(') {
+      const node = parseOr();
+      if (tokens[pos]?.type === ')') pos++;
+      return node;
+    }
+
+    if (!token.value || !token.value.trim()) return null;
+
+    if (token.type === 'exact') {
+      return { type: 'exact', value: token.value };
+    }
+
+    if (token.type === 'field') {
+      return { type: 'field', field: token.field, value: token.value };
+    }
+
+    if (token.type === 'phrase') {
+      const words = token.value.split(/\s+/).filter((w) => w.length > 0);
+      // A single quoted word is just a term
+      if (words.length === 1) {
+        return { type: 'term', value: words[0], alternatives: expandAlias(words[0], aliasMap) };
+      }
+      return { type: 'phrase', value: words.join(' '), words };
+    }
+
+    return {
+      type: 'term',
+      value: token.value,
+      alternatives: expandAlias(token.value, aliasMap),
+    };
+  };
+
+  let root = null;
+  const parts = [];
+
+  // Stray closing parentheses end a sub-parse; skip them and keep going
+  while (pos < tokens.length) {
+    const node = parseOr();
+    if (node) parts.push(node);
+    if (tokens[pos]?.type === ')') pos++;
+  }
+
+  if (parts.length === 1) root = parts[0];
+  else if (parts.length > 1) root = { type: 'and', children: parts };
+
+  return root;
+}
+
+/**
+ * Walk the AST and collect positive (non-negated) leaves
+ * @param {object|null} node - AST node
+ * @param {boolean} negated - Whether the node is under a NOT
+ * @param {Array} leaves - Output array
+ * @returns {Array} - Positive leaf nodes
+ */
+function collectPositiveLeaves(node, negated = false, leaves = []) {
+  if (!node) return leaves;
+
+  if (node.type === 'not') {
+    collectPositiveLeaves(node.child, !negated, leaves);
+  } else if (node.type === 'and' || node.type === 'or') {
+    node.children.forEach((child) => collectPositiveLeaves(child, negated, leaves));
+  } else if (!negated) {
+    leaves.push(node);
+  }
+
+  return leaves;
+}
+
+/**
+ * Parse an extended search query
+ * Supported operators:
+ * - space - AND (all terms must match)
+ * - | - OR (either side matches), e.g. `docker | podman`
+ * - ( ) - grouping, e.g. `(docker | podman) setup`
+ * - "multi word phrase" - words must appear next to each other
+ * - 'term - exact substring match ('"exact phrase" for substrings with spaces)
+ * - !term - exclude results containing term (also !"phrase" and !(group))
+ * - field:value - match a field (title:, description:, tag:, path:, or any
+ *   frontmatter key), e.g. `tag:security`, `author:"Jane Doe"`
+ * - -field:value - exclude results matching a field
+ * Words like URLs (`https://...`) or unknown field names (see options.isField)
+ * stay plain terms.
+ *
+ * Normal terms that match an alias are expanded into an OR-group of the
+ * term and its synonyms. Other positive terms may be replaced by a spelling
+ * correction.
+ *
+ * @param {string} query - Raw query string
+ * @param {Map<string, string[]>} aliasMap - Aliases from buildAliasMap (optional)
+ * @param {object} options - Parse options
+ * @param {(term: string) => string|null} options.correct - Returns a corrected
+ *   term, or null to keep it (optional)
+ * @param {(field: string) => boolean} options.isField - Whether a name is a
+ *   known field, e.g. a built-in field or an indexed frontmatter key (optional)
+ * @returns {{ast: object|null, terms: string[], fields: Array<{field: string, value: string}>, expansions: object, corrections: object}}
+ *   - AST, positive search terms (for scoring and previews), positive field
+ *   terms, applied alias expansions and applied spelling corrections
+ */
+export function parseExtendedQuery(query, aliasMap = new Map(), options = {}) {
+  const ast = parseTokens(tokenizeQuery(query || '', options.isField), aliasMap);
+  const leaves = collectPositiveLeaves(ast);
+
+  const terms = [];
+  const fields = [];
+  const expansions = {};
+  const corrections = {};
+
+  for (const leaf of leaves) {
+    // Aliases are never corrected; their names need not appear in documents
+    if (leaf.type === 'term' && options.correct && !aliasMap.has(leaf.value.toLowerCase())) {
+      const corrected = options.correct(leaf.value);
+      if (corrected) {
+        leaf.alternatives = [corrected];
+        corrections[leaf.value] = corrected;
+      }
+    }
+
+    if (leaf.type === 'term') {
+      terms.push(...leaf.alternatives);
+      if (leaf.alternatives.length > 1) {
+        expansions[leaf.value] = leaf.alternatives.slice(1);
+      }
+    } else if (leaf.type === 'phrase') {
+      terms.push(...leaf.words);
+    } else if (leaf.type === 'field') {
+      fields.push({ field: leaf.field, value: leaf.value });
+      // Text fields also count towards relevance and previews
+      if (/^(title|description)$/i.test(leaf.field)) {
+        terms.push(leaf.value);
+      }
+    } else {
+      terms.push(leaf.value);
+    }
+  }
+
+  return { ast, terms, fields, expansions, corrections };
+}
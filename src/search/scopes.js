@@ -0,0 +1,59 @@
+/**
+ * Structural grep scopes
+ *
+ * Restricts grep matches to one kind of markdown content: fenced code,
+ * headings, prose, tables, links or the frontmatter block
+ */
+
+import { classifyLines, findLinkSpans } from '../parsing/blocks.js';
+
+// Scopes accepted by grep --in
+export const GREP_SCOPES = ['code', 'headings', 'prose', 'tables', 'links', 'frontmatter'];
+
+// Line-level scope for each line kind from classifyLines
+const KIND_SCOPES = {
+  code: 'code',
+  heading: 'headings',
+  prose: 'prose',
+  table: 'tables',
+};
+
+// Line kinds that can contain links
+const LINK_KINDS = new Set(['heading', 'prose', 'table']);
+
+/**
+ * Resolve the scopes to search: --lang implies the code scope
+ * @param {string[]|undefined} scopes - Requested scopes
+ * @param {string|undefined} lang - Code block language
+ * @returns {string[]|undefined} - Scopes, or undefined to search everything
+ */
+export function resolveScopes(scopes, lang) {
+  if (!lang) return scopes?.length ? scopes : undefined;
+  return scopes?.length ? [...new Set([...scopes, 'code'])] : ['code'];
+}
+
+/**
+ * Get the in-scope character segments of each body line
+ * @param {string[]} lines - Body lines
+ * @param {string[]} scopes - Scopes from GREP_SCOPES
+ * @param {string} lang - Only search code blocks in this language (optional)
+ * @returns {Array<Array<{start: number, end: number}>>} - Segments per line
+ *   (empty when the line is out of scope)
+ */
+export function getScopeSegments(lines, scopes, lang) {
+  const wanted = new Set(scopes);
+  const language = lang?.toLowerCase();
+
+  return classifyLines(lines).map(({ kind, lang: blockLang }, index) => {
+    const line = lines[index];
+    const inScope =
+      wanted.has(KIND_SCOPES[kind]) &&
+      (kind !== 'code' || !language || blockLang === language);
+    if (inScope) return [{ start: 0, end: line.length }];
+
+    if (wanted.has('links') && LINK_KINDS.has(kind)) {
+      return findLinkSpans(line);
+    }
+    return [];
+  });
+}
@@ -0,0 +1,124 @@
+/**
+ * Result sorting and pagination
+ *
+ * Sort specs have the form `key` or `key:asc|desc`, where key is one of
+ * score, path, mtime, title, matches or fm.<frontmatter field>
+ */
+
+import { statSync } from 'fs';
+import { getFrontmatterValue, toComparableString } from './fields.js';
+
+// Sort keys that default to descending order (newest / most first)
+const DESCENDING_BY_DEFAULT = new Set(['mtime', 'matches']);
+
+const SORT_PATTERN = /^(score|path|mtime|title|matches|fm\.[^:\s]+)(?::(asc|desc))?$/i;
+
+/**
+ * Parse a sort spec
+ * @param {string} spec - Sort spec such as "path", "mtime:asc" or "fm.order"
+ * @returns {{key: string, field?: string, descending: boolean}|null} - Parsed sort, or null if invalid
+ */
+export function parseSortSpec(spec) {
+  const match = String(spec).trim().match(SORT_PATTERN);
+  if (!match) return null;
+
+  const isFrontmatter = match[1].toLowerCase().startsWith('fm.');
+  const key = isFrontmatter ? 'fm' : match[1].toLowerCase();
+  const descending = match[2]
+    ? match[2].toLowerCase() === 'desc'
+    : DESCENDING_BY_DEFAULT.has(key);
+
+  return isFrontmatter
+    ? { key, field: match[1].slice(3), descending }
+    : { key, descending };
+}
+
+/**
+ * Get a file's modification time, or undefined if it cannot be read
+ * @param {string} path - Absolute file path
+ * @returns {number|undefined} - Modification time in ms
+ */
+export function getModifiedTime(path) {
+  try {
+    return statSync(path).mtimeMs;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Normalize a sort value: frontmatter values become comparable strings,
+ * missing values become undefined
+ * @param {*} value - Raw value
+ * @returns {number|string|undefined}
+ */
+function toSortValue(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value === 'number') return value;
+  if (Array.isArray(value)) return toSortValue(value[0]);
+  return toComparableString(value);
+}
+
+/**
+ * Compare two sort values (numbers numerically, strings naturally)
+ * @param {number|string} a - First value
+ * @param {number|string} b - Second value
+ * @returns {number}
+ */
+function compareSortValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, {
+    numeric: true,
+    sensitivity: 'base',
+  });
+}
+
+/**
+ * Sort results by a parsed sort spec
+ * Missing values always sort last; ties keep their original order
+ * @param {Array} items - Items to sort
+ * @param {{key: string, field?: string, descending: boolean}} sort - Parsed sort spec
+ * @param {(item: object, sort: object) => *} getValue - Returns the value to sort an item by
+ *   (frontmatter fields can be resolved with getFrontmatterValue)
+ * @returns {Array} - New sorted array
+ */
+export function sortResults(items, sort, getValue) {
+  const keyed = items.map((item, position) => ({
+    item,
+    position,
+    value: toSortValue(getValue(item, sort)),
+  }));
+
+  keyed.sort((a, b) => {
+    if (a.value === undefined || b.value === undefined) {
+      if (a.value === b.value) return a.position - b.position;
+      return a.value === undefined ? 1 : -1;
+    }
+    const order = compareSortValues(a.value, b.value);
+    if (order !== 0) return sort.descending ? -order : order;
+    return a.position - b.position;
+  });
+
+  return keyed.map(({ item }) => item);
+}
+
+/**
+ * Resolve a frontmatter sort value
+ * @param {object} frontmatter - Parsed frontmatter
+ * @param {{field: string}} sort - Parsed sort spec with key "fm"
+ * @returns {*}
+ */
+export function getFrontmatterSortValue(frontmatter, sort) {
+  return getFrontmatterValue(frontmatter || {}, sort.field);
+}
+
+/**
+ * Resolve the offset for a page
+ * @param {{offset?: number, page?: number, limit?: number}} paging - Paging options
+ * @returns {number} - Zero-based offset
+ */
+export function resolveOffset({ offset, page, limit }) {
+  if (offset !== undefined && offset !== null) return Math.max(0, offset);
+  if (page && limit) return Math.max(0, (page - 1) * limit);
+  return 0;
+}
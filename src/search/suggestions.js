@@ -0,0 +1,118 @@
+/**
+ * "Did you mean" suggestions for searches without results
+ *
+ * Suggests indexed words close to the query terms and headings that
+ * mention them
+ */
+
+import { tokenize } from '../index-persistence/corpus-stats.js';
+import { extractHeadings } from '../parsing/headings.js';
+import { editDistance } from './typo.js';
+
+// Maximum suggestions per kind
+const MAX_SUGGESTIONS = 5;
+
+// Maximum edit distance for suggested words
+const MAX_SUGGESTION_DISTANCE = 2;
+
+/**
+ * Suggest indexed words close to the query words
+ * Words the query already matches (by prefix) are not suggested
+ * @param {string[]} words - Lowercase query words
+ * @param {Map<string, Set<string>>} vocabulary - Token to document ids
+ * @param {number} limit - Maximum suggestions
+ * @returns {string[]} - Suggested words, closest and most frequent first
+ */
+export function suggestTerms(words, vocabulary, limit = MAX_SUGGESTIONS) {
+  const candidates = new Map();
+
+  for (const word of words) {
+    // Short words tolerate a single edit
+    const maxDistance = Math.min(
+      MAX_SUGGESTION_DISTANCE,
+      Math.max(1, Math.floor(word.length / 3))
+    );
+
+    for (const [token, postings] of vocabulary) {
+      if (token.startsWith(word)) continue;
+
+      const distance = editDistance(word, token, maxDistance);
+      if (distance > maxDistance) continue;
+
+      const previous = candidates.get(token);
+      if (!previous || distance < previous.distance) {
+        candidates.set(token, { token, distance, frequency: postings.size });
+      }
+    }
+  }
+
+  return [...candidates.values()]
+    .sort(
+      (a, b) =>
+        a.distance - b.distance ||
+        b.frequency - a.frequency ||
+        a.token.localeCompare(b.token)
+    )
+    .slice(0, limit)
+    .map((candidate) => candidate.token);
+}
+
+/**
+ * Suggest headings that mention any of the words
+ * @param {string[]} words - Lowercase words
+ * @param {Array} documents - Indexed documents (files or sections)
+ * @param {number} limit - Maximum suggestions
+ * @returns {Array<{file: string, heading: string}>} - Headings mentioning the most words first
+ */
+export function suggestHeadings(words, documents, limit = MAX_SUGGESTIONS) {
+  if (words.length === 0) return [];
+
+  const candidates = [];
+  const seen = new Set();
+
+  for (const doc of documents) {
+    // Section documents are titled by their heading
+    const headings = doc.range
+      ? [doc.title]
+      : extractHeadings((doc.body || '').split('\n')).map((h) => h.text);
+
+    for (const heading of headings) {
+      const key = `${doc.file}#${heading}`;
+      if (!heading || seen.has(key)) continue;
+      seen.add(key);
+
+      const tokens = tokenize(heading);
+      const hits = words.filter((word) =>
+        tokens.some((token) => token.startsWith(word))
+      ).length;
+
+      if (hits > 0) {
+        candidates.push({ file: doc.file, heading, hits });
+      }
+    }
+  }
+
+  return candidates
+    .sort((a, b) => b.hits - a.hits)
+    .slice(0, limit)
+    .map(({ file, heading }) => ({ file, heading }));
+}
+
+/**
+ * Build suggestions for a query that returned no results
+ * @param {string[]} terms - Positive query terms
+ * @param {Array} documents - Indexed documents
+ * @param {object} stats - Corpus statistics from buildCorpusStats
+ * @returns {{terms: string[], headings: Array<{file: string, heading: string}>}|null}
+ *   - Suggestions, or null if there are none
+ */
+export function buildSuggestions(terms, documents, stats) {
+  const words = [...new Set(tokenize(terms.join(' ')))];
+  if (words.length === 0) return null;
+
+  const suggestedTerms = suggestTerms(words, stats?.vocabulary || new Map());
+  const headings = suggestHeadings([...words, ...suggestedTerms], documents);
+
+  if (suggestedTerms.length === 0 && headings.length === 0) return null;
+  return { terms: suggestedTerms, headings };
+}
@@ -0,0 +1,98 @@
+/**
+ * Typo tolerance for fuzzy search
+ *
+ * Query terms that match nothing in the index are corrected to the
+ * closest vocabulary token by Damerau-Levenshtein distance
+ */
+
+// Upper bound on edits regardless of threshold (keeps candidates meaningful)
+const MAX_EDIT_DISTANCE = 2;
+
+/**
+ * Maximum number of edits allowed for a term
+ * The threshold is the allowed fraction of edited characters (0 disables correction)
+ * @param {string} term - Query term
+ * @param {number} threshold - fuzzy.threshold (0-1)
+ * @returns {number} - Maximum edit distance
+ */
+export function maxEditDistance(term, threshold) {
+  return Math.min(MAX_EDIT_DISTANCE, Math.floor(term.length * threshold));
+}
+
+/**
+ * Damerau-Levenshtein distance (optimal string alignment)
+ * Counts insertions, deletions, substitutions and adjacent transpositions
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} maxDistance - Stop early once the distance exceeds this (optional)
+ * @returns {number} - Edit distance (maxDistance + 1 when exceeded)
+ */
+export function editDistance(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(
+        prev[j] + 1, // deletion
+        current[j - 1] + 1, // insertion
+        prev[j - 1] + cost // substitution
+      );
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1); // transposition
+      }
+
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+    prevPrev = prev;
+    prev = current;
+  }
+
+  return prev[b.length];
+}
+
+/**
+ * Correct a misspelled term against the corpus vocabulary
+ * Terms that already match a token (by prefix, like the index) are left alone.
+ * Among candidates within the allowed distance, the closest wins, then the
+ * one found in the most documents.
+ * @param {string} term - Query term
+ * @param {Map<string, Set<string>>} vocabulary - Token to document ids (from buildCorpusStats)
+ * @param {number} threshold - fuzzy.threshold (0-1)
+ * @returns {string|null} - Corrected token, or null if no correction applies
+ */
+export function correctTerm(term, vocabulary, threshold) {
+  const word = term.toLowerCase();
+  const maxDistance = maxEditDistance(word, threshold);
+  if (maxDistance === 0 || !vocabulary) return null;
+
+  let best = null;
+  let bestDistance = maxDistance + 1;
+  let bestFrequency = 0;
+
+  for (const [token, postings] of vocabulary) {
+    if (token.startsWith(word)) return null;
+
+    const distance = editDistance(word, token, maxDistance);
+    if (
+      distance < bestDistance ||
+      (distance === bestDistance && best !== null && postings.size > bestFrequency)
+    ) {
+      best = token;
+      bestDistance = distance;
+      bestFrequency = postings.size;
+    }
+  }
+
+  return best;
+}
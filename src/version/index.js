@@ -2,4 +2,9 @@
  * Version module exports
  */
 
-export { PACKAGE_VERSION, checkForUpdate, handleVersionFlag } from './update.js';
+export {
+  PACKAGE_VERSION,
+  checkForUpdate,
+  handleVersionFlag,
+  isVersionRequest,
+} from './update.js';
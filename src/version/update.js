@@ -27,12 +27,32 @@ export async function checkForUpdate() {
   }
 }
 
+/**
+ * Check whether the command line asks for the version
+ * Only flags before the subcommand count, so subcommands can use -v
+ * (e.g. grep -v)
+ * @param {string[]} argv - Process arguments (default: process.argv)
+ * @returns {boolean}
+ */
+export function isVersionRequest(argv = process.argv) {
+  for (let i = 2; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-v' || arg === '--version') return true;
+    if (arg === '--config') {
+      i++; // Skip the option value
+    } else if (!arg.startsWith('-')) {
+      return false; // Subcommand
+    }
+  }
+  return false;
+}
+
 /**
  * Handle custom version output with update check
  * Must be called before program.parse() for async handling
  */
 export async function handleVersionFlag() {
-  if (process.argv.includes('-v') || process.argv.includes('--version')) {
+  if (isVersionRequest()) {
     const { current, latest, updateAvailable } = await checkForUpdate();
     console.log(`cc-md-search-cli v${current}`);
     if (updateAvailable) {
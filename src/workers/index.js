@@ -0,0 +1,10 @@
+/**
+ * Worker pool module exports
+ */
+
+export {
+  DEFAULT_CHUNK_SIZE,
+  resolveJobs,
+  createWorkerPool,
+  runChunked,
+} from './pool.js';
@@ -0,0 +1,180 @@
+/**
+ * Worker thread pool
+ *
+ * Runs named tasks (see worker.js) on a fixed number of worker threads.
+ * Work is split into chunks that are handed to whichever worker is free;
+ * chunk results are reported in input order, so output stays deterministic.
+ */
+
+import { Worker } from 'worker_threads';
+import { availableParallelism } from 'os';
+
+const WORKER_URL = new URL('./worker.js', import.meta.url);
+
+// Items per chunk: small enough to balance the load, large enough to keep
+// message overhead low
+export const DEFAULT_CHUNK_SIZE = 64;
+
+/**
+ * Resolve a jobs setting to a number of worker threads
+ * @param {number|string|undefined} jobs - Worker count; 0 or "auto" uses every CPU
+ * @returns {number} - Number of threads (1 means run on the main thread)
+ */
+export function resolveJobs(jobs) {
+  if (jobs === undefined || jobs === null) return 1;
+  if (jobs === 'auto' || Number(jobs) === 0) return availableParallelism();
+  return Math.max(1, Math.floor(Number(jobs)) || 1);
+}
+
+/**
+ * Create a pool of worker threads
+ * Workers start lazily, one per queued task, up to size. A worker that crashes
+ * or exits fails the task it was running and is replaced on the next dispatch.
+ * @param {number} size - Maximum number of worker threads
+ * @param {object} options - Pool options
+ * @param {URL|string} options.url - Worker script (default: worker.js)
+ * @returns {{size: number, run: (task: string, payload: object) => Promise<*>, close: () => Promise<void>}}
+ */
+export function createWorkerPool(size, options = {}) {
+  const idle = [];
+  const workers = new Set();
+  const queue = [];
+  const pending = new Map();
+  let nextId = 0;
+  let closed = false;
+
+  const dispatch = () => {
+    while (queue.length > 0 && (idle.length > 0 || workers.size < size)) {
+      const job = queue.shift();
+      const worker = idle.pop() || spawn();
+      pending.set(job.id, { ...job, worker });
+      worker.postMessage({ id: job.id, task: job.task, payload: job.payload });
+    }
+  };
+
+  // Drop a worker that is gone and fail the task it was running
+  const retire = (worker, err) => {
+    workers.delete(worker);
+    const index = idle.indexOf(worker);
+    if (index !== -1) idle.splice(index, 1);
+    for (const [id, job] of pending) {
+      if (job.worker === worker) {
+        pending.delete(id);
+        job.reject(err);
+      }
+    }
+    dispatch();
+  };
+
+  const spawn = () => {
+    const worker = new Worker(options.url || WORKER_URL);
+    workers.add(worker);
+
+    worker.on('message', ({ id, result, error }) => {
+      const job = pending.get(id);
+      if (!job) return;
+      pending.delete(id);
+      idle.push(worker);
+      if (error) {
+        job.reject(Object.assign(new Error(error.message), { stack: error.stack }));
+      } else {
+        job.resolve(result);
+      }
+      dispatch();
+    });
+
+    worker.on('error', (err) => retire(worker, err));
+
+    // Exits without an error event too: process.exit in a task, terminate(),
+    // or the thread being killed
+    worker.on('exit', (code) => {
+      if (workers.has(worker)) retire(worker, new Error(`Worker exited with code ${code}`));
+    });
+
+    return worker;
+  };
+
+  return {
+    size,
+
+    /**
+     * Run a task on the next free worker
+     * @param {string} task - Task name (see worker.js)
+     * @param {object} payload - Structured-cloneable task input
+     * @returns {Promise<*>} - Task result
+     */
+    run(task, payload) {
+      if (closed) return Promise.reject(new Error('Worker pool is closed'));
+      return new Promise((resolve, reject) => {
+        queue.push({ id: nextId++, task, payload, resolve, reject });
+        dispatch();
+      });
+    },
+
+    /**
+     * Terminate every worker; queued and running tasks are rejected
+     * @returns {Promise<void>}
+     */
+    async close() {
+      if (closed) return;
+      closed = true;
+      const error = new Error('Worker pool is closed');
+      for (const job of [...queue, ...pending.values()]) {
+        job.reject(error);
+      }
+      queue.length = 0;
+      pending.clear();
+      await Promise.all([...workers].map((worker) => worker.terminate()));
+      workers.clear();
+    },
+  };
+}
+
+/**
+ * Run a task over items in chunks, spread across the pool
+ * @param {object} pool - From createWorkerPool
+ * @param {string} task - Task name; receives {...payload, items}
+ * @param {Array} items - Items to split into chunks
+ * @param {object} options - Options
+ * @param {object} options.payload - Extra task input shared by every chunk
+ * @param {number} options.chunkSize - Items per chunk (default: DEFAULT_CHUNK_SIZE)
+ * @param {(result: *, chunk: Array) => void} options.onChunk - Called with each chunk's
+ *   result in input order, as soon as it and every earlier chunk are done
+ * @param {(error: Error, chunk: Array) => *} options.onError - Returns a result for a
+ *   failed chunk (default: the error is thrown)
+ * @returns {Promise<Array>} - Chunk results in input order
+ */
+export async function runChunked(pool, task, items, options = {}) {
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const chunks = [];
+  for (let i = 0; i < items.length; i += chunkSize) {
+    chunks.push(items.slice(i, i + chunkSize));
+  }
+
+  const results = new Array(chunks.length);
+  const done = new Array(chunks.length).fill(false);
+  let reported = 0;
+
+  // Report every finished chunk that no earlier chunk is waiting on
+  const flush = () => {
+    while (reported < chunks.length && done[reported]) {
+      options.onChunk?.(results[reported], chunks[reported]);
+      reported++;
+    }
+  };
+
+  await Promise.all(
+    chunks.map(async (chunk, index) => {
+      try {
+        results[index] = await pool.run(task, { ...options.payload, items: chunk });
+      } catch (err) {
+        if (!options.onError) throw err;
+        results[index] = options.onError(err, chunk);
+      }
+      done[index] = true;
+      flush();
+    })
+  );
+
+  return results;
+}
@@ -0,0 +1,27 @@
+/**
+ * Worker thread entry point
+ *
+ * Receives {id, task, payload} messages from the pool and replies with
+ * {id, result} or {id, error}
+ */
+
+import { parentPort } from 'worker_threads';
+import { grepFileChunk } from '../search/grep.js';
+import { parseIndexDocuments } from '../index-persistence/flexsearch-index.js';
+
+// Task name to handler; each handler receives the payload and returns a
+// structured-cloneable result
+const TASKS = {
+  grep: grepFileChunk,
+  'index-documents': ({ items, sections }) => parseIndexDocuments(items, sections),
+};
+
+parentPort.on('message', async ({ id, task, payload }) => {
+  try {
+    const handler = TASKS[task];
+    if (!handler) throw new Error(`Unknown worker task: ${task}`);
+    parentPort.postMessage({ id, result: await handler(payload) });
+  } catch (err) {
+    parentPort.postMessage({ id, error: { message: err.message, stack: err.stack } });
+  }
+});
@@ -1,5 +1,7 @@
-import { describe, test, expect } from 'bun:test';
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { mkdirSync, writeFileSync, rmSync } from 'fs';
 import { join } from 'path';
+import { tmpdir } from 'os';
 import { FIXTURES_DIR, NESTED_DIR, SECOND_DOCS_DIR, runCli } from './helpers/index.js';
 
 // ============================================================================
@@ -66,6 +68,121 @@ describe('Runtime Tests', () => {
       expect(stdout).toContain('Found');
     });
 
+    test('find --page adds totals to JSON output', () => {
+      const { stdout, exitCode } = runCli(runtime, [
+        'find', 'test', FIXTURES_DIR, '-l', '2', '--page', '2', '-o', 'json', '--no-cache',
+      ]);
+      expect(exitCode).toBe(0);
+      const parsed = JSON.parse(stdout.split('\n✓ Found')[0].trim());
+      expect(parsed.offset).toBe(2);
+      expect(parsed.limit).toBe(2);
+      expect(parsed.total).toBeGreaterThan(2);
+      expect(parsed.results.length).toBeLessThanOrEqual(2);
+      expect(stdout).toContain('(showing 3-');
+    });
+
+    test('grep --sort rejects unsupported keys', () => {
+      const { stderr, exitCode } = runCli(runtime, ['grep', 'test', FIXTURES_DIR, '--sort', 'score']);
+      expect(exitCode).toBe(1);
+      expect(stderr).toContain('Invalid --sort');
+    });
+
+    test('grep -p treats every positional argument as a directory', () => {
+      const { stdout, exitCode } = runCli(runtime, [
+        'grep', FIXTURES_DIR, '-p', 'Main Title', '-p', 'Section One', '--all', '-o', 'files', '--no-cache',
+      ]);
+      expect(exitCode).toBe(0);
+      expect(stdout).toContain('simple.md');
+      expect(stdout).toContain('Found 1 file(s)');
+    });
+
+    test('grep -v is not taken for the version flag', () => {
+      const { stdout, exitCode } = runCli(runtime, [
+        'grep', 'Section', FIXTURES_DIR, '-v', '--count', '-o', 'json', '--no-cache',
+      ]);
+      expect(exitCode).toBe(0);
+      expect(stdout).not.toContain('cc-md-search-cli v');
+      const parsed = JSON.parse(stdout.split('\n✓ Found')[0].trim());
+      expect(parsed.every((r) => r.count > 0)).toBe(true);
+    });
+
+    test('grep --timeout rejects non-integer values', () => {
+      const { stderr, exitCode } = runCli(runtime, ['grep', 'test', FIXTURES_DIR, '--timeout', 'soon']);
+      expect(exitCode).toBe(1);
+      expect(stderr).toContain('Invalid --timeout');
+    });
+
+    test('grep --output ndjson prints records and a summary', () => {
+      const { stdout, exitCode } = runCli(runtime, ['grep', 'content', FIXTURES_DIR, '-o', 'ndjson', '-l', '1']);
+      expect(exitCode).toBe(0);
+      const records = stdout.split('\n').map((line) => JSON.parse(line));
+      expect(records.length).toBe(2);
+      expect(records[0].type).toBe('result');
+      expect(records[1].type).toBe('summary');
+      expect(records[1].total).toBeGreaterThan(1);
+    });
+
+    test('list and outline support ndjson', () => {
+      const list = runCli(runtime, ['list', FIXTURES_DIR, '-o', 'ndjson']).stdout.split('\n');
+      const listSummary = JSON.parse(list.at(-1));
+      expect(listSummary).toEqual({ type: 'summary', total: list.length - 1 });
+      expect(JSON.parse(list[0])).toEqual({ type: 'result', file: expect.stringMatching(/\.md|\.markdown$/) });
+
+      const outline = runCli(runtime, ['outline', FIXTURES_DIR, '-o', 'ndjson']).stdout.split('\n');
+      expect(JSON.parse(outline[0]).headings).toBeDefined();
+      expect(JSON.parse(outline.at(-1)).type).toBe('summary');
+    });
+
+    test('--max-tokens trims output and reports it', () => {
+      const grep = runCli(runtime, ['grep', 'e', FIXTURES_DIR, '-o', 'json', '--max-tokens', '200']);
+      expect(grep.exitCode).toBe(0);
+      const report = JSON.parse(grep.stdout.split('\n✓ Found')[0].trim());
+      expect(report.truncated.maxTokens).toBe(200);
+      expect(report.truncated.tokens).toBeLessThanOrEqual(200);
+
+      const show = runCli(runtime, ['show', join(FIXTURES_DIR, 'simple.md'), '--max-tokens', '5']);
+      expect(show.stdout.length).toBeLessThanOrEqual(20);
+      expect(show.stderr).toContain('Output trimmed');
+
+      // JSON outlines stay one object per file; the trim is reported on stderr
+      const outline = runCli(runtime, ['outline', FIXTURES_DIR, '-o', 'json', '--max-tokens', '20']);
+      const lines = outline.stdout.trim().split('\n');
+      expect(lines.length).toBeGreaterThan(0);
+      for (const line of lines) {
+        expect(JSON.parse(line)).toEqual({ file: expect.any(String), headings: expect.any(Array) });
+      }
+      expect(outline.stderr).toContain('Output trimmed');
+    });
+
+    test('section and show support xml', () => {
+      const file = join(FIXTURES_DIR, 'simple.md');
+      const section = runCli(runtime, ['section', file, 'Section One', '-o', 'xml']).stdout;
+      expect(section.startsWith(`<document path="${file}">\n<section heading="Section One">\n## Section One`)).toBe(true);
+      expect(section.endsWith('</section>\n</document>')).toBe(true);
+
+      const show = runCli(runtime, ['show', join(FIXTURES_DIR, 'with-frontmatter.md'), '-b', '-o', 'xml']).stdout;
+      expect(show.startsWith('<document path=')).toBe(true);
+      expect(show).toContain('title="Test Document"');
+    });
+
+    test('grep --in rejects unknown scopes', () => {
+      const { stderr, exitCode } = runCli(runtime, ['grep', 'test', FIXTURES_DIR, '--in', 'code,comments']);
+      expect(exitCode).toBe(1);
+      expect(stderr).toContain('Invalid --in');
+    });
+
+    test('grep without a query or -p fails', () => {
+      const { stderr, exitCode } = runCli(runtime, ['grep']);
+      expect(exitCode).toBe(1);
+      expect(stderr).toContain('Missing search pattern');
+    });
+
+    test('find --min-score rejects values outside 0-1', () => {
+      const { stderr, exitCode } = runCli(runtime, ['find', 'test', FIXTURES_DIR, '--min-score', '1.5']);
+      expect(exitCode).toBe(1);
+      expect(stderr).toContain('Invalid --min-score');
+    });
+
     test('show command works', () => {
       const testFile = join(FIXTURES_DIR, 'simple.md');
       const { stdout, exitCode } = runCli(runtime, ['show', testFile]);
@@ -106,4 +223,54 @@ describe('Runtime Tests', () => {
 
   // Note: Cross-runtime consistency tests removed because Node.js is not supported
   // (bun:sqlite is Bun-specific)
+
+  describe('grep --timeout under node', () => {
+    let tempDir;
+
+    beforeAll(() => {
+      tempDir = join(tmpdir(), `ccmds-timeout-test-${Date.now()}`);
+      mkdirSync(join(tempDir, 'single'), { recursive: true });
+      mkdirSync(join(tempDir, 'several'), { recursive: true });
+      // One line that backtracks for far longer than the timeout; unlike Bun's,
+      // Node's regex engine never gives up on it
+      const stuck = `${'a'.repeat(60)}b\n`;
+      writeFileSync(join(tempDir, 'single', 'one.md'), stuck);
+      writeFileSync(join(tempDir, 'several', 'one.md'), stuck);
+      writeFileSync(join(tempDir, 'several', 'two.md'), 'aaa\n');
+    });
+
+    const grepWithTimeout = (dir) =>
+      runCli(
+        'node',
+        ['--no-config', 'grep', '(a+)+$', join(tempDir, dir), '--timeout', '500', '-o', 'json'],
+        { timeout: 20000 }
+      );
+
+    afterAll(() => {
+      rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('stops a pattern stuck on a single long line', () => {
+      const started = Date.now();
+      const { stdout, exitCode } = grepWithTimeout('single');
+
+      expect(Date.now() - started).toBeLessThan(10000);
+      expect(exitCode).toBe(0);
+      const report = JSON.parse(stdout.split('\n✓ Found')[0].trim());
+      expect(report.results).toEqual([]);
+      expect(report.warnings).toEqual([
+        expect.objectContaining({ code: 'timeout', file: 'one.md', total: 1 }),
+      ]);
+    }, 30000);
+
+    test('does not guess the unfinished file when a stopped chunk held several', () => {
+      const { stdout, exitCode } = grepWithTimeout('several');
+
+      expect(exitCode).toBe(0);
+      const [warning] = JSON.parse(stdout.split('\n✓ Found')[0].trim()).warnings;
+      expect(warning).toMatchObject({ code: 'timeout', searched: 0, total: 2 });
+      expect(warning.file).toBeUndefined();
+      expect(warning.message).not.toContain('was not finished');
+    }, 30000);
+  });
 });
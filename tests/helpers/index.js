@@ -10,13 +10,14 @@ export const CLI_PATH = resolve(import.meta.dir, '../../src/cli.js');
  * Helper to run CLI command with a specific runtime
  * @param {string} runtime - 'bun' or 'node'
  * @param {string[]} args - CLI arguments
- * @param {object} options - Spawn options
+ * @param {object} options - Spawn options (cwd, timeout in milliseconds)
  * @returns {{ stdout: string, stderr: string, exitCode: number }}
  */
 export const runCli = (runtime, args, options = {}) => {
   const result = Bun.spawnSync([runtime, CLI_PATH, ...args], {
     cwd: options.cwd || import.meta.dir,
     env: process.env,
+    timeout: options.timeout,
   });
   return {
     stdout: result.stdout.toString().trim(),
@@ -1,5 +1,5 @@
 import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
-import { existsSync, unlinkSync, writeFileSync, mkdirSync, rmSync } from 'fs';
+import { existsSync, unlinkSync, writeFileSync, mkdirSync, rmSync, utimesSync } from 'fs';
 import { join } from 'path';
 import { tmpdir } from 'os';
 import {
@@ -12,9 +12,12 @@ import {
   getIndexFilePath,
   getIndexMetaPath,
   getFlexSearchExportPath,
+  getSectionIndexExportPath,
   isIndexFresh,
   computeFileHash,
   computeFileHashes,
+  buildFlexSearchFields,
+  resolveFieldWeights,
   DEFAULT_CONFIG,
 } from '../src/cli.js';
 import { FIXTURES_DIR } from './helpers/index.js';
@@ -135,6 +138,26 @@ describe('Index Persistence', () => {
       expect(existsSync(exportPath)).toBe(true);
     });
 
+    test('parses files on worker threads with jobs', async () => {
+      const docsDir = join(tempDir, 'docs');
+      mkdirSync(docsDir, { recursive: true });
+      // Enough files for several worker chunks
+      for (let i = 0; i < 150; i++) {
+        writeFileSync(join(docsDir, `doc-${i}.md`), `# Doc ${i}\n\nAbout gadget number ${i}.\n`);
+      }
+      const files = findMarkdownFiles(docsDir);
+      const disabledConfig = {
+        ...tempConfig,
+        index: { ...tempConfig.index, enabled: false },
+      };
+
+      const sequential = await buildOrLoadIndex(files, disabledConfig, { silent: true });
+      const parallel = await buildOrLoadIndex(files, disabledConfig, { silent: true, jobs: 3 });
+
+      expect(parallel.documents).toEqual(sequential.documents);
+      expect(parallel.index.search('gadget').length).toBeGreaterThan(0);
+    });
+
     test('does not create index directory when disabled', async () => {
       const files = findMarkdownFiles(FIXTURES_DIR);
       const disabledConfig = {
@@ -171,6 +194,25 @@ describe('Index Persistence', () => {
       expect(results.length).toBeGreaterThan(0);
     });
 
+    test('rebuilds index when field weights change', async () => {
+      const files = findMarkdownFiles(FIXTURES_DIR);
+      const exportPath = getFlexSearchExportPath(tempConfig);
+
+      await buildOrLoadIndex(files, tempConfig, { silent: true });
+      const firstMeta = JSON.parse(require('fs').readFileSync(join(exportPath, 'meta.json'), 'utf8'));
+      expect(firstMeta.weights).toEqual(DEFAULT_CONFIG.fuzzy.weights);
+
+      const boostedConfig = {
+        ...tempConfig,
+        fuzzy: { ...tempConfig.fuzzy, weights: { title: 3 } },
+      };
+      await buildOrLoadIndex(files, boostedConfig, { silent: true });
+      const secondMeta = JSON.parse(require('fs').readFileSync(join(exportPath, 'meta.json'), 'utf8'));
+
+      expect(secondMeta.weights.title).toBe(3);
+      expect(secondMeta.timestamp).toBeGreaterThanOrEqual(firstMeta.timestamp);
+    });
+
     test('force rebuild creates new index', async () => {
       const files = findMarkdownFiles(FIXTURES_DIR);
 
@@ -359,6 +401,28 @@ describe('FlexSearch Configuration', () => {
     expect(DEFAULT_CONFIG.fuzzy.distance).toBe(100);
   });
 
+  test('buildFlexSearchFields maps default weights to field resolutions', () => {
+    const fields = buildFlexSearchFields(DEFAULT_CONFIG.fuzzy.weights);
+    const resolutions = Object.fromEntries(fields.map((f) => [f.field, f.resolution]));
+
+    expect(resolutions).toEqual({ title: 9, description: 6, tags: 6, body: 3 });
+  });
+
+  test('buildFlexSearchFields follows custom weights and clamps to 1-9', () => {
+    const fields = buildFlexSearchFields({ title: 3, body: 0 });
+    const resolutions = Object.fromEntries(fields.map((f) => [f.field, f.resolution]));
+
+    expect(resolutions.title).toBe(9);
+    expect(resolutions.body).toBe(1);
+    expect(resolutions.description).toBe(6);
+  });
+
+  test('resolveFieldWeights fills missing weights from defaults', () => {
+    const weights = resolveFieldWeights({ fuzzy: { weights: { title: 3 } } });
+
+    expect(weights).toEqual({ ...DEFAULT_CONFIG.fuzzy.weights, title: 3 });
+  });
+
   test('search works with default configuration', async () => {
     const files = findMarkdownFiles(FIXTURES_DIR);
     const results = await fuzzySearch(files, 'test', {
@@ -480,6 +544,97 @@ describe('FlexSearch Serialization', () => {
     });
   });
 
+  describe('FlexSearch incremental updates', () => {
+    let docsDir;
+
+    const writeDoc = (name, content) => {
+      writeFileSync(join(docsDir, name), content);
+    };
+
+    const searchIds = (index, term) => {
+      const ids = new Set();
+      for (const fieldResult of index.search(term)) {
+        fieldResult.result.forEach((id) => ids.add(id));
+      }
+      return [...ids];
+    };
+
+    beforeEach(() => {
+      docsDir = join(tempDir, 'docs');
+      mkdirSync(docsDir, { recursive: true });
+      writeDoc('keep.md', '# Keep\n\nStable content.\n');
+      writeDoc('edit.md', '# Edit\n\nOriginal wording.\n');
+      writeDoc('drop.md', '# Drop\n\nObsolete zebra notes.\n');
+    });
+
+    test('updates only changed documents and reports changes', async () => {
+      await buildOrLoadIndex(findMarkdownFiles(docsDir), tempConfig, { silent: true });
+      clearDocumentCache();
+
+      writeDoc('edit.md', '# Edit\n\nRevised giraffe wording.\n');
+      const future = new Date(Date.now() + 5000);
+      utimesSync(join(docsDir, 'edit.md'), future, future);
+      writeDoc('new.md', '# New\n\nFresh pelican page.\n');
+      rmSync(join(docsDir, 'drop.md'));
+
+      const files = findMarkdownFiles(docsDir);
+      const { index, documents, changes } = await buildOrLoadIndex(files, tempConfig, { silent: true });
+
+      expect(changes.added).toEqual(['new.md']);
+      expect(changes.changed).toEqual(['edit.md']);
+      expect(changes.removed).toEqual([join(docsDir, 'drop.md')]);
+      expect(changes.unchanged).toBe(1);
+
+      expect(documents.map((d) => d.file).sort()).toEqual(['edit.md', 'keep.md', 'new.md']);
+      expect(searchIds(index, 'giraffe')).toEqual([join(docsDir, 'edit.md')]);
+      expect(searchIds(index, 'pelican')).toEqual([join(docsDir, 'new.md')]);
+      expect(searchIds(index, 'zebra')).toEqual([]);
+    });
+
+    test('persists the updated index for the next load', async () => {
+      await buildOrLoadIndex(findMarkdownFiles(docsDir), tempConfig, { silent: true });
+      clearDocumentCache();
+
+      writeDoc('new.md', '# New\n\nFresh pelican page.\n');
+      const files = findMarkdownFiles(docsDir);
+      await buildOrLoadIndex(files, tempConfig, { silent: true });
+      clearDocumentCache();
+
+      const exportPath = getFlexSearchExportPath(tempConfig);
+      expect(isIndexFresh(exportPath, files)).toBe(true);
+
+      const { index, changes } = await buildOrLoadIndex(files, tempConfig, { silent: true });
+      expect(changes).toBeUndefined();
+      expect(searchIds(index, 'pelican')).toEqual([join(docsDir, 'new.md')]);
+    });
+  });
+
+  describe('FlexSearch section index', () => {
+    test('stores section index separately from the file index', async () => {
+      const files = findMarkdownFiles(FIXTURES_DIR);
+      const sectionPath = getSectionIndexExportPath(tempConfig);
+
+      const { documents } = await buildOrLoadIndex(files, tempConfig, { silent: true, sections: true });
+
+      expect(existsSync(join(sectionPath, 'meta.json'))).toBe(true);
+      expect(existsSync(join(getFlexSearchExportPath(tempConfig), 'meta.json'))).toBe(false);
+      expect(documents.length).toBeGreaterThan(files.length);
+      expect(documents.every((d) => d.range && d.path)).toBe(true);
+    });
+
+    test('reloads section documents from the persisted index', async () => {
+      const files = findMarkdownFiles(FIXTURES_DIR);
+      const built = await buildOrLoadIndex(files, tempConfig, { silent: true, sections: true });
+      clearDocumentCache();
+
+      const loaded = await buildOrLoadIndex(files, tempConfig, { silent: true, sections: true });
+
+      expect(loaded.documents.map((d) => d.id).sort()).toEqual(built.documents.map((d) => d.id).sort());
+      const section = loaded.documents.find((d) => d.heading === 'Document Title > Installation > Prerequisites');
+      expect(section.range).toEqual({ start: 29, end: 32 });
+    });
+  });
+
   describe('clearIndexCache with FlexSearch', () => {
     test('removes FlexSearch export directory', async () => {
       const files = findMarkdownFiles(FIXTURES_DIR);
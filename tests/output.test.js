@@ -1,5 +1,16 @@
 import { describe, test, expect } from 'bun:test';
-import { formatOutput } from '../src/cli.js';
+import {
+  formatOutput,
+  formatNdjsonRecord,
+  formatNdjsonResults,
+  formatXmlElement,
+  shouldUseColor,
+  estimateTokens,
+  fitResultsToBudget,
+  fitTextToBudget,
+  fitOutlineToBudget,
+  describeTruncation,
+} from '../src/cli.js';
 
 // ============================================================================
 // OUTPUT FORMATTING
@@ -26,6 +37,7 @@ describe('formatOutput', () => {
     {
       file: 'test.md',
       score: 0.2,
+      relevance: 0.75,
       title: 'Test Document',
       frontmatter: { title: 'Test' },
       preview: 'Preview content here'
@@ -49,6 +61,41 @@ describe('formatOutput', () => {
     expect(output).not.toContain('\n');
   });
 
+  test('json mode includes heading and range for section results', () => {
+    const output = formatOutput([
+      {
+        file: 'guide.md',
+        score: 0.3,
+        title: 'Guide',
+        frontmatter: {},
+        heading: 'Setup > Prerequisites',
+        headingPath: '# Setup > ## Prerequisites',
+        range: { start: 5, end: 9 },
+        preview: '## Prerequisites',
+      },
+    ], 'json');
+    const parsed = JSON.parse(output);
+
+    expect(parsed[0].heading).toBe('Setup > Prerequisites');
+    expect(parsed[0].range).toEqual({ start: 5, end: 9 });
+  });
+
+  test('json mode wraps results with a non-empty report', () => {
+    const output = formatOutput(sampleFuzzyResults, 'json', {
+      expansions: { auth: ['authentication'] },
+    });
+    const parsed = JSON.parse(output);
+
+    expect(parsed.expansions).toEqual({ auth: ['authentication'] });
+    expect(parsed.results).toHaveLength(1);
+    expect(parsed.results[0].file).toBe('test.md');
+  });
+
+  test('json mode keeps plain array with an empty report', () => {
+    const parsed = JSON.parse(formatOutput(sampleFuzzyResults, 'json', {}));
+    expect(Array.isArray(parsed)).toBe(true);
+  });
+
   test('files mode returns only file paths', () => {
     const results = [
       { file: 'a.md' },
@@ -72,7 +119,16 @@ describe('formatOutput', () => {
     const output = formatOutput(sampleFuzzyResults, 'compact');
 
     expect(output).toContain('relevance:');
-    expect(output).toContain('0.80');  // 1 - 0.2
+    expect(output).toContain('0.75');
+  });
+
+  test('json mode rounds relevance like the score', () => {
+    const parsed = JSON.parse(formatOutput([
+      { file: 'a.md', score: 0.23456, relevance: 0.87654 },
+    ], 'json'));
+
+    expect(parsed[0].score).toBe(0.235);
+    expect(parsed[0].relevance).toBe(0.877);
   });
 
   test('compact mode shows heading path', () => {
@@ -160,4 +216,455 @@ describe('formatOutput', () => {
     const output = formatOutput(results, 'detailed');
     expect(output).toContain('tags: ["a","b"]');
   });
+
+  test('includes score explanations in json and detailed modes', () => {
+    const results = [{
+      file: 'auth.md',
+      score: 0.5,
+      preview: 'Preview',
+      explain: {
+        score: 0.5,
+        relevance: 1,
+        bm25: 1,
+        terms: [{
+          term: 'authentication',
+          aliasOf: 'auth',
+          idf: 0.693,
+          score: 1,
+          fields: { title: { tf: 1, weight: 2, score: 1 } },
+        }],
+      },
+    }];
+
+    const json = JSON.parse(formatOutput(results, 'json'));
+    expect(json[0].explain).toEqual(results[0].explain);
+
+    const detailed = formatOutput(results, 'detailed');
+    expect(detailed).toContain('◇ Score 0.5 = 1 / (1 + bm25 1), relevance 1');
+    expect(detailed).toContain('authentication (alias of auth): 1 [idf 0.693] title 1 (tf 1, weight 2)');
+  });
+
+  test('json mode includes match highlights', () => {
+    const grep = JSON.parse(formatOutput([{
+      file: 'a.md',
+      matches: [{ lineNumber: 1, line: 'a token', context: 'a token', highlights: [{ start: 2, end: 7 }] }],
+    }], 'json'));
+    expect(grep[0].matches[0].highlights).toEqual([{ start: 2, end: 7 }]);
+
+    // Preview offsets follow the trimmed preview
+    const find = JSON.parse(formatOutput([{
+      file: 'a.md',
+      preview: '\n\nThe token\n',
+      highlights: [{ start: 6, end: 11 }],
+    }], 'json'));
+    expect(find[0].preview).toBe('The token');
+    expect(find[0].highlights).toEqual([{ start: 4, end: 9 }]);
+
+    const none = JSON.parse(formatOutput([{ file: 'a.md', preview: 'Text', highlights: [] }], 'json'));
+    expect(none[0].highlights).toBeUndefined();
+  });
+
+  test('shows the line span of multi-line matches', () => {
+    const results = [{
+      file: 'a.md',
+      matches: [{ lineNumber: 3, endLineNumber: 5, line: '## Setup\n\n```bash', context: '## Setup\n\n```bash' }],
+    }];
+
+    const json = JSON.parse(formatOutput(results, 'json'));
+    expect(json[0].matches[0].line).toBe(3);
+    expect(json[0].matches[0].endLine).toBe(5);
+
+    const compact = formatOutput(results, 'compact');
+    expect(compact).toContain('Lines 3-5: ## Setup...');
+  });
+
+  test('highlights matches with ANSI colors only when color is enabled', () => {
+    const results = [{
+      file: 'a.md',
+      matches: [{
+        lineNumber: 1,
+        line: 'a token',
+        context: 'before\na token',
+        highlights: [{ start: 2, end: 7 }],
+        contextHighlights: [{ start: 9, end: 14 }],
+      }],
+    }];
+
+    const plain = formatOutput(results, 'compact');
+    expect(plain).not.toContain('\x1b[');
+
+    const compact = formatOutput(results, 'compact', {}, { color: true });
+    expect(compact).toContain('a \x1b[1m\x1b[31mtoken\x1b[39m\x1b[22m');
+
+    const detailed = formatOutput(results, 'detailed', {}, { color: true });
+    expect(detailed).toContain('before\na \x1b[1m\x1b[31mtoken');
+  });
+});
+
+describe('NDJSON output', () => {
+  const results = [
+    {
+      file: 'a.md',
+      matches: [{ lineNumber: 3, line: 'first', context: 'first' }],
+      frontmatter: {},
+    },
+    { file: 'b.md', count: 2 },
+  ];
+
+  test('formats one tagged record per result', () => {
+    const lines = formatNdjsonResults(results).split('\n').map((line) => JSON.parse(line));
+
+    expect(lines).toEqual([
+      { type: 'result', file: 'a.md', matches: [{ line: 3, text: 'first', context: 'first' }] },
+      { type: 'result', file: 'b.md', count: 2 },
+    ]);
+    expect(formatNdjsonResults([])).toBe('');
+  });
+
+  test('formatOutput ends with a summary record carrying the report', () => {
+    const lines = formatOutput(results, 'ndjson', { expansions: { auth: ['login'] } }).split('\n');
+
+    expect(lines.length).toBe(3);
+    expect(JSON.parse(lines[2])).toEqual({
+      type: 'summary',
+      total: 2,
+      expansions: { auth: ['login'] },
+    });
+    expect(formatOutput([], 'ndjson')).toBe('{"type":"summary","total":0}');
+  });
+
+  test('formatNdjsonRecord tags arbitrary records', () => {
+    expect(formatNdjsonRecord({ file: 'a.md' })).toBe('{"type":"result","file":"a.md"}');
+    expect(formatNdjsonRecord({ total: 1 }, 'summary')).toBe('{"type":"summary","total":1}');
+  });
+});
+
+describe('XML output', () => {
+  test('wraps grep matches in document and section blocks', () => {
+    const output = formatOutput(
+      [
+        {
+          file: 'guide.md',
+          frontmatter: { title: 'Guide' },
+          matches: [
+            {
+              lineNumber: 4,
+              line: 'npm install',
+              headingPath: '# Guide > ## Setup',
+              context: '```bash\nnpm install\n```\n',
+              range: { start: 3, end: 5 },
+            },
+          ],
+        },
+        { file: 'other.md', count: 2 },
+      ],
+      'xml'
+    );
+
+    expect(output).toBe(
+      [
+        '<document path="guide.md" title="Guide">',
+        '<section heading="# Guide > ## Setup" lines="3-5">',
+        '```bash\nnpm install\n```',
+        '</section>',
+        '</document>',
+        '',
+        '<document path="other.md" count="2" />',
+      ].join('\n')
+    );
+  });
+
+  test('includes find scores, previews and section hits', () => {
+    const output = formatOutput(
+      [
+        { file: 'a.md', score: 0.12345, title: 'A', preview: '\nFirst paragraph\n' },
+        {
+          file: 'b.md',
+          score: 0.5,
+          title: 'B',
+          heading: 'Setup > Prerequisites',
+          range: { start: 10, end: 20 },
+          preview: 'Node 20',
+        },
+      ],
+      'xml'
+    );
+
+    expect(output).toContain('<document path="a.md" title="A" score="0.123">\nFirst paragraph\n</document>');
+    expect(output).toContain(
+      '<section heading="Setup > Prerequisites" lines="10-20">\nNode 20\n</section>'
+    );
+  });
+
+  test('formatXmlElement escapes attributes but not content', () => {
+    expect(formatXmlElement('document', { path: 'a "b" & <c>.md', title: undefined }, 'x < y && z')).toBe(
+      '<document path="a &quot;b&quot; &amp; &lt;c>.md">\nx < y && z\n</document>'
+    );
+    expect(formatXmlElement('document', { path: 'a.md' })).toBe('<document path="a.md" />');
+  });
+});
+
+describe('Markdown output', () => {
+  test('renders a heading, breadcrumb and line link per grep match', () => {
+    const output = formatOutput(
+      [
+        {
+          file: 'guide.md',
+          frontmatter: { title: 'Guide' },
+          matches: [
+            {
+              lineNumber: 10,
+              line: 'npm install',
+              headingPath: '# Guide > ## Setup',
+              context: 'Run this first:',
+              range: { start: 9, end: 11 },
+            },
+          ],
+        },
+      ],
+      'markdown'
+    );
+
+    expect(output).toBe(
+      [
+        '## Guide — [guide.md](guide.md)',
+        '',
+        '**Guide > Setup** · [guide.md#L10](guide.md#L10)',
+        '',
+        '```markdown',
+        'Run this first:',
+        '```',
+      ].join('\n')
+    );
+  });
+
+  test('fences code block contexts with their language', () => {
+    const output = formatOutput(
+      [
+        {
+          file: 'a.md',
+          matches: [
+            {
+              lineNumber: 2,
+              endLineNumber: 3,
+              line: 'x',
+              context: '```bash\nnpm install\nnpm test\n```',
+              range: { start: 1, end: 4 },
+            },
+          ],
+        },
+      ],
+      'markdown'
+    );
+
+    expect(output).toContain('[a.md#L2-L3](a.md#L2-L3)\n\n```bash\nnpm install\nnpm test\n```');
+    expect(output).not.toContain('```markdown');
+  });
+
+  test('uses a longer fence for contexts that contain fences', () => {
+    const output = formatOutput(
+      [{ file: 'a.md', matches: [{ lineNumber: 1, line: 'x', context: 'Example:\n```js\nx()', range: { start: 1, end: 3 } }] }],
+      'markdown'
+    );
+
+    expect(output).toContain('````markdown\nExample:\n```js\nx()\n````');
+  });
+
+  test('keeps the code block language when the context runs past the block', () => {
+    const output = formatOutput(
+      [
+        {
+          file: 'a.md',
+          matches: [
+            {
+              lineNumber: 3,
+              line: 'x()',
+              lang: 'js',
+              context: 'Example:\n```js\nx()\n```\nAfter.',
+              range: { start: 1, end: 5 },
+            },
+          ],
+        },
+      ],
+      'markdown'
+    );
+
+    expect(output).toContain('````js\nExample:\n```js\nx()\n```\nAfter.\n````');
+  });
+
+  test('shows find relevance, section hits and previews', () => {
+    const output = formatOutput(
+      [
+        {
+          file: 'b.md',
+          relevance: 0.5,
+          title: 'B',
+          heading: 'Setup > Prerequisites',
+          range: { start: 10, end: 20 },
+          preview: 'Node 20',
+        },
+        { file: 'c.md', count: 3 },
+      ],
+      'markdown'
+    );
+
+    expect(output).toContain(
+      '## B — [b.md](b.md)\n\nRelevance 0.50 · **Setup > Prerequisites** (lines 10-20)\n\n```markdown\nNode 20\n```'
+    );
+    expect(output).toContain('## [c.md](c.md)\n\n3 matching line(s)');
+    expect(output).not.toMatch(/[─📄◆]/u);
+  });
+});
+
+describe('Token budgets', () => {
+  const grepResults = Array.from({ length: 5 }, (_, i) => ({
+    file: `doc-${i}.md`,
+    matches: Array.from({ length: 6 }, (_, j) => ({
+      lineNumber: j + 1,
+      line: `match ${j} in doc ${i}`,
+      context: `match ${j} in doc ${i} `.repeat(40),
+      contextHighlights: [{ start: 0, end: 5 }, { start: 700, end: 705 }],
+      range: { start: j + 1, end: j + 1 },
+    })),
+  }));
+
+  test('estimateTokens uses about four characters per token', () => {
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens('abcd')).toBe(1);
+    expect(estimateTokens('abcde')).toBe(2);
+  });
+
+  test('results that fit are returned unchanged', () => {
+    const { results, truncated } = fitResultsToBudget(grepResults, 1_000_000, 'json');
+    expect(results).toBe(grepResults);
+    expect(truncated).toBeNull();
+    expect(fitResultsToBudget(grepResults, 0, 'json').truncated).toBeNull();
+  });
+
+  test('matches per file and contexts are trimmed before results are dropped', () => {
+    const full = estimateTokens(formatOutput(grepResults, 'json'));
+    const { results, truncated } = fitResultsToBudget(grepResults, Math.floor(full / 2), 'json');
+
+    expect(results.length).toBe(5);
+    expect(results[0].matches.length).toBeLessThan(6);
+    expect(results[0].matches[0].context.endsWith('...')).toBe(true);
+    expect(results[0].matches[0].contextHighlights).toEqual([{ start: 0, end: 5 }]);
+    expect(truncated.droppedResults).toBe(0);
+    expect(truncated.droppedMatches).toBeGreaterThan(0);
+    expect(truncated.shortened).toBe(5);
+    expect(truncated.tokens).toBeLessThanOrEqual(truncated.maxTokens);
+    expect(truncated.totalTokens).toBe(full);
+  });
+
+  test('lowest-ranked results are dropped last', () => {
+    const { results, truncated } = fitResultsToBudget(grepResults, 120, 'json');
+
+    expect(results.map((r) => r.file)).toEqual(
+      grepResults.slice(0, results.length).map((r) => r.file)
+    );
+    expect(results.length).toBeLessThan(5);
+    expect(results.every((r) => r.matches.length === 1)).toBe(true);
+    expect(truncated.droppedResults).toBe(5 - results.length);
+    expect(estimateTokens(formatOutput(results, 'json'))).toBeLessThanOrEqual(120);
+  });
+
+  test('previews are shortened for find results', () => {
+    const findResults = [
+      { file: 'a.md', score: 1, preview: 'word '.repeat(200), highlights: [{ start: 0, end: 4 }, { start: 900, end: 904 }] },
+    ];
+    const { results, truncated } = fitResultsToBudget(findResults, 150, 'compact');
+
+    expect(results[0].preview.length).toBeLessThan(findResults[0].preview.length);
+    expect(results[0].highlights).toEqual([{ start: 0, end: 4 }]);
+    expect(truncated.shortened).toBe(1);
+  });
+
+  test('fitTextToBudget keeps whole lines from the start', () => {
+    const text = Array.from({ length: 100 }, (_, i) => `line ${i}`).join('\n');
+    const { text: shown, truncated } = fitTextToBudget(text, 20);
+
+    expect(text.startsWith(shown)).toBe(true);
+    expect(shown.length).toBeLessThanOrEqual(80);
+    expect(shown.endsWith('\n')).toBe(false);
+    expect(truncated).toMatchObject({ maxTokens: 20, totalLines: 100 });
+    expect(truncated.shownLines).toBe(shown.split('\n').length);
+    expect(fitTextToBudget(text, 0).truncated).toBeNull();
+  });
+
+  test('fitOutlineToBudget drops deep headings before files', () => {
+    const entries = ['a.md', 'b.md'].map((file) => ({
+      file,
+      headings: [1, 2, 3, 3, 2, 3].map((level, i) => ({ level, text: `Heading ${i}`, line: i })),
+    }));
+    const format = (es) => es.map((e) => JSON.stringify(e)).join('\n');
+    const full = estimateTokens(format(entries));
+    const { entries: shown, truncated } = fitOutlineToBudget(entries, full - 20, format);
+
+    expect(shown.length).toBe(2);
+    expect(shown[0].headings.every((h) => h.level <= 2)).toBe(true);
+    expect(truncated).toMatchObject({ depth: 2, droppedHeadings: 6, droppedFiles: 0 });
+
+    const tight = fitOutlineToBudget(entries, 30, format);
+    expect(tight.entries.map((e) => e.file)).toEqual(['a.md']);
+    expect(tight.truncated).toMatchObject({ depth: 1, droppedFiles: 1 });
+  });
+
+  test('fitOutlineToBudget keeps the first file when it alone is over budget', () => {
+    const entries = ['a.md', 'b.md'].map((file) => ({
+      file,
+      headings: Array.from({ length: 20 }, (_, i) => ({ level: 1, text: `Heading ${i}`, line: i })),
+    }));
+    const format = (es) => es.map((e) => JSON.stringify(e)).join('\n');
+    const budget = estimateTokens(format([{ ...entries[0], headings: entries[0].headings.slice(0, 3) }]));
+    const { entries: shown, truncated } = fitOutlineToBudget(entries, budget, format);
+
+    expect(shown.map((e) => e.file)).toEqual(['a.md']);
+    expect(shown[0].headings.length).toBe(3);
+    expect(truncated).toMatchObject({ droppedFiles: 1, droppedHeadings: 17 });
+
+    // Even a budget too small for the file name keeps the entry
+    const tiny = fitOutlineToBudget(entries, 1, format);
+    expect(tiny.entries).toEqual([{ file: 'a.md', headings: [] }]);
+  });
+
+  test('fitOutlineToBudget measures large outlines once per file', () => {
+    const entries = Array.from({ length: 5000 }, (_, i) => ({
+      file: `docs/file-${i}.md`,
+      headings: [{ level: 1, text: `File ${i}`, line: 1 }],
+    }));
+    let calls = 0;
+    const format = (es) => {
+      calls++;
+      return es.map((e) => JSON.stringify(e)).join('\n');
+    };
+    const { entries: shown, truncated } = fitOutlineToBudget(entries, 1000, format);
+
+    expect(calls).toBeLessThan(shown.length + 10);
+    expect(estimateTokens(format(shown))).toBeLessThanOrEqual(1000);
+    expect(shown.length).toBeGreaterThan(0);
+    expect(truncated.droppedFiles).toBe(entries.length - shown.length);
+  });
+
+  test('describeTruncation summarizes what was trimmed', () => {
+    const message = describeTruncation({
+      maxTokens: 100,
+      tokens: 95,
+      totalTokens: 400,
+      droppedResults: 2,
+      droppedMatches: 3,
+      shortened: 1,
+    });
+    expect(message).toBe(
+      'Output trimmed to ~95 of ~400 tokens (budget 100): dropped 2 result(s), dropped 3 match(es), shortened 1 preview(s)'
+    );
+  });
+});
+
+describe('shouldUseColor', () => {
+  test('requires a terminal and respects NO_COLOR', () => {
+    expect(shouldUseColor({ isTTY: true }, {})).toBe(true);
+    expect(shouldUseColor({ isTTY: false }, {})).toBe(false);
+    expect(shouldUseColor({ isTTY: true }, { NO_COLOR: '1' })).toBe(false);
+    expect(shouldUseColor({ isTTY: true }, { NO_COLOR: '' })).toBe(true);
+  });
 });
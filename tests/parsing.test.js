@@ -5,6 +5,8 @@ import {
   extractHeadings,
   findParentHeading,
   buildHeadingPath,
+  classifyLines,
+  findLinkSpans,
 } from '../src/cli.js';
 import { FIXTURES_DIR } from './helpers/index.js';
 
@@ -43,6 +45,17 @@ describe('parseMarkdownFile', () => {
     expect(result.fullContent).toContain('# Document Title');
   });
 
+  test('reports the file lines before the body', () => {
+    const withFm = parseMarkdownFile(join(FIXTURES_DIR, 'with-frontmatter.md'));
+    const bodyLines = withFm.body.split('\n');
+    const fileLines = withFm.fullContent.split('\n');
+    const heading = bodyLines.indexOf('# Document Title');
+
+    expect(withFm.bodyLineOffset).toBeGreaterThan(0);
+    expect(fileLines[heading + withFm.bodyLineOffset]).toBe('# Document Title');
+    expect(parseMarkdownFile(join(FIXTURES_DIR, 'simple.md')).bodyLineOffset).toBe(0);
+  });
+
   test('throws error for non-existent file', () => {
     expect(() => {
       parseMarkdownFile('/non/existent/file.md');
@@ -199,3 +212,57 @@ describe('buildHeadingPath', () => {
     expect(path).toBe('## Only Section');
   });
 });
+
+// ============================================================================
+// BLOCK STRUCTURE
+// ============================================================================
+
+describe('classifyLines', () => {
+  test('classifies code, headings, tables and prose', () => {
+    const lines = [
+      '# Title',
+      '',
+      'Some prose with a | pipe.',
+      '',
+      '| Name | Value |',
+      '| ---- | ----: |',
+      '| a    | 1     |',
+      '',
+      '```Bash',
+      '# not a heading',
+      '```',
+      '~~~',
+      'plain code',
+      '~~~',
+    ];
+
+    expect(classifyLines(lines).map((k) => k.kind)).toEqual([
+      'heading', 'blank', 'prose', 'blank',
+      'table', 'table', 'table', 'blank',
+      'fence', 'code', 'fence', 'fence', 'code', 'fence',
+    ]);
+    expect(classifyLines(lines)[9].lang).toBe('bash');
+    expect(classifyLines(lines)[12].lang).toBe('');
+  });
+
+  test('a fence only closes with the same marker', () => {
+    const kinds = classifyLines(['````md', '```', '````', 'after']).map((k) => k.kind);
+    expect(kinds).toEqual(['fence', 'code', 'fence', 'prose']);
+  });
+});
+
+describe('findLinkSpans', () => {
+  test('finds inline links, autolinks and bare URLs', () => {
+    const line = 'See [docs](https://x.io/a) or <https://y.io> and https://z.io.';
+    expect(findLinkSpans(line).map(({ start, end }) => line.slice(start, end))).toEqual([
+      '[docs](https://x.io/a)',
+      '<https://y.io>',
+      'https://z.io',
+    ]);
+  });
+
+  test('finds reference definitions', () => {
+    expect(findLinkSpans('[api]: https://api.example.com')).toEqual([{ start: 0, end: 30 }]);
+    expect(findLinkSpans('No links here')).toEqual([]);
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, test, expect } from 'bun:test';
+import {
+  tokenize,
+  buildCorpusStats,
+  createBM25Scorer,
+  DEFAULT_CONFIG,
+} from '../src/cli.js';
+
+// ============================================================================
+// CORPUS STATISTICS
+// ============================================================================
+
+const makeDoc = (id, fields) => ({
+  id,
+  title: '',
+  description: '',
+  tags: '',
+  body: '',
+  ...fields,
+});
+
+describe('tokenize', () => {
+  test('splits text into lowercase word tokens', () => {
+    expect(tokenize('Rate-Limit the API_KEY, v2!')).toEqual([
+      'rate',
+      'limit',
+      'the',
+      'api_key',
+      'v2',
+    ]);
+  });
+
+  test('returns empty array for empty input', () => {
+    expect(tokenize('')).toEqual([]);
+    expect(tokenize(undefined)).toEqual([]);
+  });
+});
+
+describe('buildCorpusStats', () => {
+  test('collects field lengths, term frequencies and vocabulary', () => {
+    const stats = buildCorpusStats([
+      makeDoc('a', { title: 'Auth Guide', body: 'auth auth login' }),
+      makeDoc('b', { title: 'Deploy', body: 'deploy steps' }),
+    ]);
+
+    expect(stats.documentCount).toBe(2);
+    expect(stats.avgFieldLengths.title).toBe(1.5);
+    expect(stats.avgFieldLengths.body).toBe(2.5);
+    expect(stats.documents.get('a').body.tf.get('auth')).toBe(2);
+    expect([...stats.vocabulary.get('deploy')]).toEqual(['b']);
+  });
+});
+
+// ============================================================================
+// BM25F SCORING
+// ============================================================================
+
+describe('createBM25Scorer', () => {
+  const weights = DEFAULT_CONFIG.fuzzy.weights;
+
+  test('ranks documents with more occurrences higher', () => {
+    const docs = [
+      makeDoc('once', { body: 'auth is mentioned here among other words' }),
+      makeDoc('often', { body: 'auth tokens refresh auth sessions via auth' }),
+      makeDoc('none', { body: 'nothing relevant in this one' }),
+    ];
+    const score = createBM25Scorer(buildCorpusStats(docs), ['auth'], weights);
+
+    expect(score(docs[1])).toBeGreaterThan(score(docs[0]));
+    expect(score(docs[2])).toBe(0);
+  });
+
+  test('normalizes by field length', () => {
+    const filler = ' lorem ipsum dolor sit amet'.repeat(50);
+    const docs = [
+      makeDoc('short', { body: 'auth setup' }),
+      makeDoc('long', { body: `auth setup${filler}` }),
+    ];
+    const score = createBM25Scorer(buildCorpusStats(docs), ['auth'], weights);
+
+    expect(score(docs[0])).toBeGreaterThan(score(docs[1]));
+  });
+
+  test('weights rare terms above common terms', () => {
+    const docs = [
+      makeDoc('a', { body: 'common rare' }),
+      makeDoc('b', { body: 'common words' }),
+      makeDoc('c', { body: 'common text' }),
+    ];
+    const stats = buildCorpusStats(docs);
+
+    const rare = createBM25Scorer(stats, ['rare'], weights)(docs[0]);
+    const common = createBM25Scorer(stats, ['common'], weights)(docs[0]);
+
+    expect(rare).toBeGreaterThan(common);
+  });
+
+  test('matches tokens by prefix', () => {
+    const docs = [makeDoc('a', { body: 'authentication flow' })];
+    const score = createBM25Scorer(buildCorpusStats(docs), ['auth'], weights);
+
+    expect(score(docs[0])).toBeGreaterThan(0);
+  });
+
+  test('applies field weights', () => {
+    const docs = [
+      makeDoc('title', { title: 'widget', body: 'other text' }),
+      makeDoc('body', { title: 'other', body: 'widget text' }),
+    ];
+    const stats = buildCorpusStats(docs);
+    const score = createBM25Scorer(stats, ['widget'], weights);
+
+    expect(score(docs[0])).toBeGreaterThan(score(docs[1]));
+  });
+
+  test('explain breaks the score down per term and field', () => {
+    const docs = [
+      makeDoc('a', { title: 'widget guide', body: 'widget setup' }),
+      makeDoc('b', { body: 'other text' }),
+    ];
+    const score = createBM25Scorer(buildCorpusStats(docs), ['widget', 'setup'], weights);
+    const explanation = score.explain(docs[0]);
+
+    expect(explanation.score).toBeCloseTo(score(docs[0]), 10);
+    expect(explanation.terms.map((t) => t.term)).toEqual(['widget', 'setup']);
+
+    const widget = explanation.terms[0];
+    expect(Object.keys(widget.fields)).toEqual(['title', 'body']);
+    expect(widget.fields.title.weight).toBe(weights.title);
+    const fieldSum = Object.values(widget.fields).reduce((sum, f) => sum + f.score, 0);
+    expect(fieldSum).toBeCloseTo(widget.score, 10);
+  });
+
+  test('explain reports unmatched terms with zero score', () => {
+    const docs = [makeDoc('a', { body: 'widget' }), makeDoc('b', { body: 'gadget' })];
+    const score = createBM25Scorer(buildCorpusStats(docs), ['gadget'], weights);
+
+    expect(score.explain(docs[0]).terms).toEqual([
+      { term: 'gadget', idf: expect.any(Number), score: 0, fields: {} },
+    ]);
+  });
+});
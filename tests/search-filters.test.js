@@ -0,0 +1,81 @@
+import { describe, test, expect } from 'bun:test';
+import {
+  parseWhereFilter,
+  matchesWhereFilter,
+  matchesWhereFilters,
+} from '../src/cli.js';
+
+// ============================================================================
+// FILTER PARSING
+// ============================================================================
+
+describe('parseWhereFilter', () => {
+  test('parses each operator', () => {
+    expect(parseWhereFilter('category=guide')).toEqual({ key: 'category', op: '=', value: 'guide' });
+    expect(parseWhereFilter('status!=draft')).toEqual({ key: 'status', op: '!=', value: 'draft' });
+    expect(parseWhereFilter('tags~=security')).toEqual({ key: 'tags', op: '~=', value: 'security' });
+    expect(parseWhereFilter('lastUpdated>2025-01-01')).toEqual({ key: 'lastUpdated', op: '>', value: '2025-01-01' });
+    expect(parseWhereFilter('version>=2')).toEqual({ key: 'version', op: '>=', value: '2' });
+    expect(parseWhereFilter('priority<3')).toEqual({ key: 'priority', op: '<', value: '3' });
+  });
+
+  test('trims whitespace and strips quotes', () => {
+    expect(parseWhereFilter(' author = "Jane Doe" ')).toEqual({ key: 'author', op: '=', value: 'Jane Doe' });
+  });
+
+  test('returns null for invalid expressions', () => {
+    expect(parseWhereFilter('status')).toBeNull();
+    expect(parseWhereFilter('=draft')).toBeNull();
+  });
+});
+
+// ============================================================================
+// FILTER MATCHING
+// ============================================================================
+
+describe('matchesWhereFilter', () => {
+  const frontmatter = {
+    category: 'Guide',
+    status: 'published',
+    tags: ['security', 'api'],
+    lastUpdated: new Date('2025-03-10'),
+    priority: 10,
+    meta: { owner: 'platform' },
+  };
+  const matches = (expression) => matchesWhereFilter(frontmatter, parseWhereFilter(expression));
+
+  test('= and != compare case-insensitively', () => {
+    expect(matches('category=guide')).toBe(true);
+    expect(matches('category=ref*')).toBe(false);
+    expect(matches('status!=draft')).toBe(true);
+    expect(matches('missing!=draft')).toBe(true);
+    expect(matches('meta.owner=platform')).toBe(true);
+  });
+
+  test('~= matches substrings of any array element', () => {
+    expect(matches('tags~=secur')).toBe(true);
+    expect(matches('tags~=deprecated')).toBe(false);
+  });
+
+  test('> and < compare dates and numbers', () => {
+    expect(matches('lastUpdated>2025-01-01')).toBe(true);
+    expect(matches('lastUpdated<2025-01-01')).toBe(false);
+    expect(matches('lastUpdated>=2025-03-10')).toBe(true);
+    expect(matches('priority>9')).toBe(true);
+    expect(matches('priority<=9')).toBe(false);
+  });
+
+  test('missing keys never satisfy comparisons', () => {
+    expect(matches('missing=x')).toBe(false);
+    expect(matches('missing>1')).toBe(false);
+  });
+});
+
+describe('matchesWhereFilters', () => {
+  test('requires every filter to match', () => {
+    const filters = ['category=guide', 'status=draft'].map(parseWhereFilter);
+    expect(matchesWhereFilters({ category: 'guide', status: 'draft' }, filters)).toBe(true);
+    expect(matchesWhereFilters({ category: 'guide', status: 'published' }, filters)).toBe(false);
+    expect(matchesWhereFilters({}, undefined)).toBe(true);
+  });
+});
@@ -1,5 +1,16 @@
-import { describe, test, expect, beforeEach } from 'bun:test';
-import { findMarkdownFiles, fuzzySearch, clearDocumentCache } from '../src/cli.js';
+import { describe, test, expect, beforeEach, beforeAll, afterAll } from 'bun:test';
+import { mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  findMarkdownFiles,
+  fuzzySearch,
+  clearDocumentCache,
+  buildAliasMap,
+  expandAlias,
+  matchesFieldTerm,
+  DEFAULT_CONFIG,
+} from '../src/cli.js';
 import { FIXTURES_DIR } from './helpers/index.js';
 
 // ============================================================================
@@ -275,3 +286,701 @@ describe('fuzzySearch - Extended Search', () => {
     expect(specific.length).toBeLessThanOrEqual(broad.length);
   });
 });
+
+// ============================================================================
+// OR, PHRASES AND GROUPING
+// ============================================================================
+
+describe('fuzzySearch - OR, Phrases and Grouping', () => {
+  let tempDir;
+  let files;
+  let config;
+
+  beforeAll(() => {
+    tempDir = join(tmpdir(), `ccmds-operators-test-${Date.now()}`);
+    mkdirSync(tempDir, { recursive: true });
+    writeFileSync(join(tempDir, 'rate.md'), '# Limits\n\nApply a rate limit to every API client.\n');
+    writeFileSync(join(tempDir, 'throttle.md'), '# Throttling\n\nRequest throttling protects upstream services.\n');
+    writeFileSync(join(tempDir, 'apart.md'), '# Metrics\n\nThe error rate is tracked. No limit applies.\n');
+    writeFileSync(join(tempDir, 'docker.md'), '# Docker\n\nDocker setup guide.\n');
+    writeFileSync(join(tempDir, 'podman.md'), '# Podman\n\nPodman setup guide.\n');
+    writeFileSync(join(tempDir, 'prod.md'), '# Production\n\nRunning docker in production.\n');
+    files = findMarkdownFiles(tempDir);
+    config = {
+      ...DEFAULT_CONFIG,
+      _configDir: tempDir,
+      index: { ...DEFAULT_CONFIG.index, enabled: false },
+    };
+  });
+
+  afterAll(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    clearDocumentCache();
+  });
+
+  const search = async (query) => {
+    const results = await fuzzySearch(files, query, { limit: 10, config });
+    return results.map((r) => r.file).sort();
+  };
+
+  test('| matches either side', async () => {
+    expect(await search('docker | podman')).toEqual(['docker.md', 'podman.md', 'prod.md']);
+  });
+
+  test('AND binds tighter than OR', async () => {
+    expect(await search('rate limit | throttling')).toEqual(['apart.md', 'rate.md', 'throttle.md']);
+    expect(await search('podman | docker production')).toEqual(['podman.md', 'prod.md']);
+  });
+
+  test('quoted phrase requires adjacent words', async () => {
+    expect(await search('"rate limit"')).toEqual(['rate.md']);
+    expect(await search('"rate limit" | throttling')).toEqual(['rate.md', 'throttle.md']);
+  });
+
+  test('phrase words may be separated by punctuation', async () => {
+    expect(await search('"tracked no limit"')).toEqual(['apart.md']);
+  });
+
+  test('parentheses group alternatives', async () => {
+    expect(await search('(docker | podman) setup')).toEqual(['docker.md', 'podman.md']);
+  });
+
+  test('negation applies to phrases and groups', async () => {
+    expect(await search('rate !"rate limit"')).toEqual(['apart.md']);
+    expect(await search('setup !(podman | production)')).toEqual(['docker.md']);
+  });
+
+  test('unbalanced parentheses are tolerated', async () => {
+    expect(await search('(docker | podman setup')).toEqual(['docker.md', 'podman.md', 'prod.md']);
+    expect(await search('docker) setup')).toEqual(['docker.md']);
+  });
+});
+
+// ============================================================================
+// FIELD-SCOPED TERMS
+// ============================================================================
+
+describe('matchesFieldTerm', () => {
+  const doc = {
+    file: 'api/auth/tokens.md',
+    title: 'Token Refresh',
+    description: 'How tokens are refreshed',
+    frontmatter: {
+      tags: ['security', 'api'],
+      category: 'guide',
+      author: 'Jane Doe',
+      date: new Date('2025-01-15'),
+      meta: { owner: 'platform' },
+    },
+  };
+
+  test('matches title and description by substring', () => {
+    expect(matchesFieldTerm(doc, 'title', 'refresh')).toBe(true);
+    expect(matchesFieldTerm(doc, 'description', 'refreshed')).toBe(true);
+    expect(matchesFieldTerm(doc, 'title', 'install')).toBe(false);
+  });
+
+  test('matches whole tags and frontmatter values case-insensitively', () => {
+    expect(matchesFieldTerm(doc, 'tag', 'Security')).toBe(true);
+    expect(matchesFieldTerm(doc, 'tag', 'secur')).toBe(false);
+    expect(matchesFieldTerm(doc, 'author', 'jane doe')).toBe(true);
+    expect(matchesFieldTerm(doc, 'author', 'Jane*')).toBe(true);
+    expect(matchesFieldTerm(doc, 'meta.owner', 'platform')).toBe(true);
+    expect(matchesFieldTerm(doc, 'missing', 'x')).toBe(false);
+  });
+
+  test('matches dates as YYYY-MM-DD, fresh or serialized', () => {
+    expect(matchesFieldTerm(doc, 'date', '2025-01-15')).toBe(true);
+    const loaded = { ...doc, frontmatter: { date: '2025-01-15T00:00:00.000Z' } };
+    expect(matchesFieldTerm(loaded, 'date', '2025-01-15')).toBe(true);
+  });
+
+  test('matches paths by glob or substring', () => {
+    expect(matchesFieldTerm(doc, 'path', 'api/**')).toBe(true);
+    expect(matchesFieldTerm(doc, 'path', 'docs/**')).toBe(false);
+    expect(matchesFieldTerm(doc, 'path', 'auth')).toBe(true);
+  });
+});
+
+describe('fuzzySearch - Field-Scoped Terms', () => {
+  let tempDir;
+  let files;
+  let config;
+
+  beforeAll(() => {
+    tempDir = join(tmpdir(), `ccmds-fields-test-${Date.now()}`);
+    mkdirSync(join(tempDir, 'api'), { recursive: true });
+    mkdirSync(join(tempDir, 'guides'), { recursive: true });
+    writeFileSync(
+      join(tempDir, 'api', 'auth.md'),
+      '---\ntitle: Auth API\ntags: [security, api]\ncategory: reference\n---\n\nInstall the client to call the auth API.\n'
+    );
+    writeFileSync(
+      join(tempDir, 'guides', 'install.md'),
+      '---\ntitle: Install Guide\ntags: [setup]\ncategory: guide\nauthor: Jane Doe\n---\n\nInstall the CLI.\n'
+    );
+    writeFileSync(
+      join(tempDir, 'guides', 'legacy.md'),
+      '---\ntitle: Legacy Install\ntags: [setup, deprecated]\ncategory: guide\n---\n\nInstall the old CLI.\n'
+    );
+    writeFileSync(
+      join(tempDir, 'links.md'),
+      '# Links\n\nMirror at https://example.com/docs for offline reading.\n'
+    );
+    files = findMarkdownFiles(tempDir);
+    config = {
+      ...DEFAULT_CONFIG,
+      _configDir: tempDir,
+      index: { ...DEFAULT_CONFIG.index, enabled: false },
+    };
+  });
+
+  afterAll(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    clearDocumentCache();
+  });
+
+  const search = async (query) => {
+    const results = await fuzzySearch(files, query, { limit: 10, config });
+    return results.map((r) => r.file).sort();
+  };
+
+  test('title: matches only the title', async () => {
+    expect(await search('title:install')).toEqual(['guides/install.md', 'guides/legacy.md']);
+  });
+
+  test('tag: and frontmatter keys filter results', async () => {
+    expect(await search('install tag:security')).toEqual(['api/auth.md']);
+    expect(await search('install category:guide')).toEqual(['guides/install.md', 'guides/legacy.md']);
+    expect(await search('author:"Jane Doe"')).toEqual(['guides/install.md']);
+  });
+
+  test('path: matches globs', async () => {
+    expect(await search('install path:guides/**')).toEqual(['guides/install.md', 'guides/legacy.md']);
+  });
+
+  test('-field:value excludes matches', async () => {
+    expect(await search('install -tag:deprecated')).toEqual(['api/auth.md', 'guides/install.md']);
+    expect(await search('category:guide -tag:deprecated')).toEqual(['guides/install.md']);
+  });
+
+  test('field terms combine with OR', async () => {
+    expect(await search('tag:security | tag:deprecated')).toEqual(['api/auth.md', 'guides/legacy.md']);
+  });
+
+  test('URLs are searched as text, not as field terms', async () => {
+    expect(await search('https://example.com/docs')).toEqual(['links.md']);
+  });
+
+  test('unknown field names are searched as text', async () => {
+    // No document sets a "mirror" key, so this is not a filter
+    expect(await search('mirror:offline')).toEqual(['links.md']);
+    expect(await search('category:guide')).toEqual(['guides/install.md', 'guides/legacy.md']);
+  });
+});
+
+describe('fuzzySearch - Frontmatter Filters', () => {
+  beforeEach(() => {
+    clearDocumentCache();
+  });
+
+  const config = {
+    ...DEFAULT_CONFIG,
+    index: { ...DEFAULT_CONFIG.index, enabled: false },
+  };
+
+  test('where filters drop results with other frontmatter', async () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const where = [{ key: 'category', op: '!=', value: 'testing' }];
+
+    const all = await fuzzySearch(files, 'installation', { limit: 10, config });
+    const filtered = await fuzzySearch(files, 'installation', { limit: 10, config, where });
+
+    expect(all.some((r) => r.file === 'with-frontmatter.md')).toBe(true);
+    expect(filtered.some((r) => r.file === 'with-frontmatter.md')).toBe(false);
+  });
+});
+
+// ============================================================================
+// TYPO TOLERANCE
+// ============================================================================
+
+describe('fuzzySearch - Typo Tolerance', () => {
+  beforeEach(() => {
+    clearDocumentCache();
+  });
+
+  const typoConfig = (threshold) => ({
+    ...DEFAULT_CONFIG,
+    fuzzy: { ...DEFAULT_CONFIG.fuzzy, threshold },
+    index: { ...DEFAULT_CONFIG.index, enabled: false },
+  });
+
+  test('finds documents for misspelled terms and reports corrections', async () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const report = {};
+    const results = await fuzzySearch(files, 'prerequisits', {
+      limit: 10,
+      config: typoConfig(0.4),
+      report,
+    });
+
+    expect(results.some((r) => r.file === 'with-frontmatter.md')).toBe(true);
+    expect(report.corrections).toEqual({ prerequisits: 'prerequisites' });
+  });
+
+  test('explain marks corrected terms', async () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const [hit] = await fuzzySearch(files, 'prerequisits', {
+      limit: 1,
+      config: typoConfig(0.4),
+      explain: true,
+    });
+
+    expect(hit.explain.terms[0]).toMatchObject({
+      term: 'prerequisites',
+      correctedFrom: 'prerequisits',
+    });
+    expect(hit.explain.terms[0].fields.body).toBeDefined();
+  });
+
+  test('does not correct terms that match', async () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const report = {};
+    await fuzzySearch(files, 'prerequisites', {
+      limit: 10,
+      config: typoConfig(0.4),
+      report,
+    });
+
+    expect(report.corrections).toBeUndefined();
+  });
+
+  test('threshold 0 disables correction', async () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const report = {};
+    const results = await fuzzySearch(files, 'prerequisits', {
+      limit: 10,
+      config: typoConfig(0),
+      report,
+    });
+
+    expect(results).toEqual([]);
+    expect(report.corrections).toBeUndefined();
+  });
+});
+
+// ============================================================================
+// SUGGESTIONS
+// ============================================================================
+
+describe('fuzzySearch - Suggestions', () => {
+  beforeEach(() => {
+    clearDocumentCache();
+  });
+
+  const config = {
+    ...DEFAULT_CONFIG,
+    index: { ...DEFAULT_CONFIG.index, enabled: false },
+  };
+
+  test('reports headings when nothing matches', async () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const report = {};
+    const results = await fuzzySearch(files, 'installation kubernetes', {
+      limit: 10,
+      config,
+      report,
+    });
+
+    expect(results).toEqual([]);
+    expect(report.suggestions.headings).toContainEqual({
+      file: 'with-frontmatter.md',
+      heading: 'Installation',
+    });
+  });
+
+  test('adds no suggestions when there are results', async () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const report = {};
+    await fuzzySearch(files, 'installation', { limit: 10, config, report });
+
+    expect(report.suggestions).toBeUndefined();
+  });
+});
+
+// ============================================================================
+// SORTING AND PAGINATION
+// ============================================================================
+
+describe('fuzzySearch - Sorting and Pagination', () => {
+  beforeEach(() => {
+    clearDocumentCache();
+  });
+
+  const config = {
+    ...DEFAULT_CONFIG,
+    index: { ...DEFAULT_CONFIG.index, enabled: false },
+  };
+
+  test('offset skips ranked results and total counts all matches', async () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const all = await fuzzySearch(files, 'test', { limit: 10, config });
+
+    const report = {};
+    const page = await fuzzySearch(files, 'test', { limit: 2, offset: 1, config, report });
+
+    expect(all.length).toBeGreaterThan(2);
+    expect(page.map((r) => r.file)).toEqual(all.slice(1, 3).map((r) => r.file));
+    expect(report.total).toBe(all.length);
+  });
+
+  test('sorts by path instead of score', async () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const results = await fuzzySearch(files, 'test', {
+      limit: 10,
+      config,
+      sort: { key: 'path', descending: false },
+    });
+
+    const paths = results.map((r) => r.file);
+    expect(paths).toEqual([...paths].sort());
+  });
+
+  test('sorts by frontmatter field with missing values last', async () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const results = await fuzzySearch(files, 'test', {
+      limit: 10,
+      config,
+      sort: { key: 'fm', field: 'category', descending: false },
+    });
+
+    expect(results[0].file).toBe('with-frontmatter.md');
+  });
+});
+
+// ============================================================================
+// RELEVANCE AND MINIMUM SCORE
+// ============================================================================
+
+describe('fuzzySearch - Relevance and Minimum Score', () => {
+  beforeEach(() => {
+    clearDocumentCache();
+  });
+
+  const config = {
+    ...DEFAULT_CONFIG,
+    index: { ...DEFAULT_CONFIG.index, enabled: false },
+  };
+
+  test('relevance is normalized to the best match', async () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const results = await fuzzySearch(files, 'test', { limit: 10, config });
+
+    expect(results.length).toBeGreaterThan(1);
+    expect(results[0].relevance).toBe(1);
+    for (const result of results) {
+      expect(result.relevance).toBeGreaterThan(0);
+      expect(result.relevance).toBeLessThanOrEqual(1);
+    }
+    const relevances = results.map((r) => r.relevance);
+    expect(relevances).toEqual([...relevances].sort((a, b) => b - a));
+  });
+
+  test('minScore drops results below the relevance cutoff', async () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const all = await fuzzySearch(files, 'test', { limit: 10, config });
+    const cutoff = (all[0].relevance + all[all.length - 1].relevance) / 2;
+
+    const report = {};
+    const results = await fuzzySearch(files, 'test', {
+      limit: 10,
+      config,
+      minScore: cutoff,
+      report,
+    });
+
+    expect(results.length).toBeGreaterThan(0);
+    expect(results.length).toBeLessThan(all.length);
+    expect(results.every((r) => r.relevance >= cutoff)).toBe(true);
+    expect(report.total).toBe(results.length);
+  });
+
+  test('fuzzy.minScore config is used when no option is given', async () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const results = await fuzzySearch(files, 'test', {
+      limit: 10,
+      config: { ...config, fuzzy: { ...config.fuzzy, minScore: 1 } },
+    });
+
+    expect(results.every((r) => r.relevance === 1)).toBe(true);
+  });
+});
+
+// ============================================================================
+// HIGHLIGHTS
+// ============================================================================
+
+describe('fuzzySearch - Highlights', () => {
+  beforeEach(() => {
+    clearDocumentCache();
+  });
+
+  const config = {
+    ...DEFAULT_CONFIG,
+    index: { ...DEFAULT_CONFIG.index, enabled: false },
+  };
+
+  test('previews carry highlights for the query terms', async () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const results = await fuzzySearch(files, 'test', { limit: 10, config });
+
+    const highlighted = results.filter((r) => r.highlights.length > 0);
+    expect(highlighted.length).toBeGreaterThan(0);
+    for (const r of highlighted) {
+      for (const { start, end } of r.highlights) {
+        expect(r.preview.slice(start, end).toLowerCase().startsWith('test')).toBe(true);
+      }
+    }
+  });
+});
+
+// ============================================================================
+// FIELD WEIGHTS
+// ============================================================================
+
+describe('fuzzySearch - Field Weights', () => {
+  let tempDir;
+  let files;
+
+  beforeAll(() => {
+    tempDir = join(tmpdir(), `ccmds-weights-test-${Date.now()}`);
+    mkdirSync(tempDir, { recursive: true });
+    writeFileSync(
+      join(tempDir, 'title-match.md'),
+      '---\ntitle: Widget Guide\n---\n\nUnrelated introduction text.\n'
+    );
+    writeFileSync(
+      join(tempDir, 'body-match.md'),
+      '---\ntitle: Other Page\n---\n\nThe widget is configured per widget instance.\n'
+    );
+    files = findMarkdownFiles(tempDir);
+  });
+
+  afterAll(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    clearDocumentCache();
+  });
+
+  const configWithWeights = (weights) => ({
+    ...DEFAULT_CONFIG,
+    _configDir: tempDir,
+    fuzzy: { ...DEFAULT_CONFIG.fuzzy, weights },
+    index: { ...DEFAULT_CONFIG.index, enabled: false },
+  });
+
+  test('default weights rank title matches first', async () => {
+    const results = await fuzzySearch(files, 'widget', {
+      limit: 10,
+      config: configWithWeights(DEFAULT_CONFIG.fuzzy.weights),
+    });
+
+    expect(results.map((r) => r.file)).toEqual(['title-match.md', 'body-match.md']);
+  });
+
+  test('configured weights change the ranking', async () => {
+    const results = await fuzzySearch(files, 'widget', {
+      limit: 10,
+      config: configWithWeights({ title: 0.5, body: 3 }),
+    });
+
+    expect(results.map((r) => r.file)).toEqual(['body-match.md', 'title-match.md']);
+  });
+});
+
+// ============================================================================
+// SECTION RESULTS
+// ============================================================================
+
+describe('fuzzySearch - Section Results', () => {
+  beforeEach(() => {
+    clearDocumentCache();
+  });
+
+  const sectionConfig = {
+    ...DEFAULT_CONFIG,
+    index: { ...DEFAULT_CONFIG.index, enabled: false },
+  };
+
+  test('returns matching sections with heading path and line range', async () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const results = await fuzzySearch(files, 'prerequisites', {
+      limit: 10,
+      config: sectionConfig,
+      sections: true,
+    });
+
+    const hit = results.find((r) => r.file === 'with-frontmatter.md');
+    expect(hit).toBeDefined();
+    expect(hit.heading).toBe('Document Title > Installation > Prerequisites');
+    expect(hit.headingPath).toBe('# Document Title > ## Installation > ### Prerequisites');
+    expect(hit.range).toEqual({ start: 29, end: 32 });
+    expect(hit.title).toBe('Test Document');
+    expect(hit.preview).toContain('You need Node.js installed.');
+  });
+
+  test('returns several sections from the same file', async () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const results = await fuzzySearch(files, 'nested', {
+      limit: 10,
+      config: sectionConfig,
+      sections: true,
+    });
+
+    const simpleHits = results.filter((r) => r.file === 'simple.md');
+    expect(simpleHits.length).toBeGreaterThan(1);
+    expect(new Set(simpleHits.map((r) => r.heading)).size).toBe(simpleHits.length);
+  });
+
+  test('can be enabled through index.sections config', async () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const results = await fuzzySearch(files, 'prerequisites', {
+      limit: 10,
+      config: { ...sectionConfig, index: { ...sectionConfig.index, sections: true } },
+    });
+
+    expect(results.length).toBeGreaterThan(0);
+    expect(results.every((r) => r.range)).toBe(true);
+  });
+
+  test('--under only returns sections below the heading path', async () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const results = await fuzzySearch(files, 'prerequisites', {
+      limit: 10,
+      config: sectionConfig,
+      under: 'Installation > Prerequisites',
+    });
+
+    expect(results.length).toBeGreaterThan(0);
+    results.forEach((r) => {
+      expect(r.range).toBeDefined();
+      expect(r.heading.toLowerCase()).toMatch(/installation > .*prerequisites/);
+    });
+
+    const none = await fuzzySearch(files, 'prerequisites', {
+      limit: 10,
+      config: sectionConfig,
+      under: 'No Such Heading',
+    });
+    expect(none).toEqual([]);
+  });
+
+  test('file results have no section fields by default', async () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const results = await fuzzySearch(files, 'prerequisites', {
+      limit: 10,
+      config: sectionConfig,
+    });
+
+    expect(results.length).toBeGreaterThan(0);
+    results.forEach((r) => {
+      expect(r.heading).toBeUndefined();
+      expect(r.range).toBeUndefined();
+    });
+  });
+});
+
+// ============================================================================
+// ALIASES
+// ============================================================================
+
+describe('buildAliasMap / expandAlias', () => {
+  test('accepts space-separated strings and arrays', () => {
+    const map = buildAliasMap({
+      Auth: 'authentication authorization',
+      setup: ['installation', 'prerequisites'],
+    });
+
+    expect(map.get('auth')).toEqual(['authentication', 'authorization']);
+    expect(map.get('setup')).toEqual(['installation', 'prerequisites']);
+  });
+
+  test('expands alias terms case-insensitively without duplicates', () => {
+    const map = buildAliasMap({ auth: 'auth authentication login' });
+
+    expect(expandAlias('AUTH', map)).toEqual(['AUTH', 'authentication', 'login']);
+    expect(expandAlias('deploy', map)).toEqual(['deploy']);
+  });
+});
+
+describe('fuzzySearch - Aliases', () => {
+  beforeEach(() => {
+    clearDocumentCache();
+  });
+
+  const aliasConfig = {
+    ...DEFAULT_CONFIG,
+    aliases: { setup: 'prerequisites installation' },
+    index: { ...DEFAULT_CONFIG.index, enabled: false },
+  };
+
+  test('expands alias into an OR-group of synonyms', async () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const report = {};
+    const results = await fuzzySearch(files, 'setup', {
+      limit: 10,
+      config: aliasConfig,
+      report,
+    });
+
+    expect(results.some((r) => r.file === 'with-frontmatter.md')).toBe(true);
+    expect(report.expansions).toEqual({ setup: ['prerequisites', 'installation'] });
+  });
+
+  test('explain attributes alias synonyms to their alias', async () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const results = await fuzzySearch(files, 'setup', {
+      limit: 10,
+      config: aliasConfig,
+      explain: true,
+    });
+
+    const hit = results.find((r) => r.file === 'with-frontmatter.md');
+    expect(hit.explain.score).toBe(Math.round(hit.score * 1000) / 1000);
+    expect(hit.explain.terms.length).toBeGreaterThan(0);
+    hit.explain.terms.forEach((t) => expect(t.aliasOf).toBe('setup'));
+  });
+
+  test('combines alias groups with other terms using AND', async () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const results = await fuzzySearch(files, 'setup node', {
+      limit: 10,
+      config: aliasConfig,
+    });
+
+    expect(results.map((r) => r.file)).toEqual(['with-frontmatter.md']);
+  });
+
+  test('aliases: false disables expansion', async () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const report = {};
+    const results = await fuzzySearch(files, 'setup', {
+      limit: 10,
+      config: aliasConfig,
+      aliases: false,
+      report,
+    });
+
+    expect(results.some((r) => r.file === 'with-frontmatter.md')).toBe(false);
+    expect(report.expansions).toBeUndefined();
+  });
+});
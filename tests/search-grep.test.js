@@ -1,5 +1,8 @@
-import { describe, test, expect } from 'bun:test';
-import { findMarkdownFiles, grepSearch } from '../src/cli.js';
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { findMarkdownFiles, grepSearch, grepSearchParallel, DEFAULT_CONFIG } from '../src/cli.js';
 import { FIXTURES_DIR } from './helpers/index.js';
 
 // ============================================================================
@@ -116,6 +119,32 @@ describe('grepSearch', () => {
     expect(hasHeadingPath).toBe(true);
   });
 
+  test('counts line numbers from the top of the file', () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const results = grepSearch(files, '^## Features', {});
+    const match = results.find((r) => r.file === 'with-frontmatter.md').matches[0];
+
+    // Frontmatter lines are counted too
+    expect(match.lineNumber).toBe(19);
+    expect(match.range.start).toBeLessThanOrEqual(19);
+    expect(match.range.start).toBeGreaterThan(13);
+
+    const simple = grepSearch(files, '^## Section One', {}).find((r) => r.file === 'simple.md');
+    expect(simple.matches[0].lineNumber).toBe(5);
+  });
+
+  test('reports the language of the code block a match is in', () => {
+    const files = findMarkdownFiles(FIXTURES_DIR).filter((f) => f.relativePath === 'with-code-blocks.md');
+    // Raw context runs past the code blocks
+    const [result] = grepSearch(files, 'important keyword|outside code', { raw: true, context: 5 });
+
+    expect(result.matches.map((m) => m.lang)).toEqual(['javascript', 'python', undefined]);
+    expect(result.matches[0].context).toContain('After the code block.');
+
+    const [frontmatter] = grepSearch(findMarkdownFiles(FIXTURES_DIR), '^author:', { scopes: ['frontmatter'] });
+    expect(frontmatter.matches[0].lang).toBe('yaml');
+  });
+
   test('filters frontmatter in non-raw mode', () => {
     const files = findMarkdownFiles(FIXTURES_DIR);
     const results = grepSearch(files, 'Prerequisites', {
@@ -145,3 +174,571 @@ describe('grepSearch', () => {
     }
   });
 });
+
+// ============================================================================
+// GREP ALIASES
+// ============================================================================
+
+describe('grepSearch - Aliases', () => {
+  const aliasConfig = {
+    ...DEFAULT_CONFIG,
+    aliases: { setup: 'prerequisites installation' },
+  };
+
+  test('expands a query that is an alias into an alternation', () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const report = {};
+    const results = grepSearch(files, 'setup', {
+      context: 2,
+      caseSensitive: false,
+      raw: false,
+      config: aliasConfig,
+      report,
+    });
+
+    const hit = results.find((r) => r.file === 'with-frontmatter.md');
+    expect(hit).toBeDefined();
+    expect(hit.matches.some((m) => m.line === '## Installation')).toBe(true);
+    expect(report.expansions).toEqual({ setup: ['prerequisites', 'installation'] });
+  });
+
+  test('matches the longest synonym when one starts with another', () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const results = grepSearch(files, 'install', {
+      caseSensitive: false,
+      config: { ...DEFAULT_CONFIG, aliases: { install: 'installation' } },
+    });
+
+    const hit = results.find((r) => r.file === 'with-frontmatter.md');
+    const match = hit.matches.find((m) => m.line === '## Installation');
+    expect(match.highlights).toEqual([{ start: 3, end: 15 }]);
+  });
+
+  test('aliases: false searches the literal query', () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const results = grepSearch(files, 'setup', {
+      context: 2,
+      caseSensitive: false,
+      raw: false,
+      config: aliasConfig,
+      aliases: false,
+    });
+
+    expect(results).toEqual([]);
+  });
+});
+
+// ============================================================================
+// FRONTMATTER FILTERS
+// ============================================================================
+
+describe('grepSearch - Frontmatter Filters', () => {
+  test('only searches files whose frontmatter matches', () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const options = { context: 2, caseSensitive: false, raw: false };
+
+    const all = grepSearch(files, 'the', options);
+    const filtered = grepSearch(files, 'the', {
+      ...options,
+      where: [{ key: 'category', op: '=', value: 'testing' }],
+    });
+
+    expect(all.length).toBeGreaterThan(1);
+    expect(filtered.map((r) => r.file)).toEqual(['with-frontmatter.md']);
+  });
+});
+
+// ============================================================================
+// SORTING
+// ============================================================================
+
+describe('grepSearch - Sorting', () => {
+  const options = { context: 2, caseSensitive: false, raw: false };
+
+  test('sorts by number of matches', () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const results = grepSearch(files, 'the', {
+      ...options,
+      sort: { key: 'matches', descending: true },
+    });
+
+    const counts = results.map((r) => r.matches.length);
+    expect(counts).toEqual([...counts].sort((a, b) => b - a));
+  });
+
+  test('sorts by path', () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const results = grepSearch(files, 'the', {
+      ...options,
+      sort: { key: 'path', descending: true },
+    });
+
+    const paths = results.map((r) => r.file);
+    expect(paths).toEqual([...paths].sort().reverse());
+  });
+});
+
+// ============================================================================
+// HIGHLIGHTS
+// ============================================================================
+
+describe('grepSearch - Highlights', () => {
+  test('reports match spans in the line and context', () => {
+    const files = findMarkdownFiles(FIXTURES_DIR);
+    const results = grepSearch(files, 'content', { context: 2, raw: false });
+
+    for (const { matches } of results) {
+      for (const m of matches) {
+        expect(m.highlights.length).toBeGreaterThan(0);
+        for (const { start, end } of m.highlights) {
+          expect(m.line.slice(start, end).toLowerCase()).toBe('content');
+        }
+        for (const { start, end } of m.contextHighlights) {
+          expect(m.context.slice(start, end).toLowerCase()).toBe('content');
+        }
+      }
+    }
+  });
+});
+
+// ============================================================================
+// FIXED STRINGS, WHOLE WORDS AND MULTIPLE PATTERNS
+// ============================================================================
+
+describe('grepSearch - Pattern Modes', () => {
+  let tempDir;
+  let files;
+
+  beforeAll(() => {
+    tempDir = join(tmpdir(), `ccmds-grep-modes-test-${Date.now()}`);
+    mkdirSync(tempDir, { recursive: true });
+    writeFileSync(join(tempDir, 'call.md'), '# Calls\n\nInvoke foo(bar) on a.b.c first.\n');
+    writeFileSync(join(tempDir, 'cache.md'), '# Cache\n\nThe cache stores tokens.\n\nCached entries expire.\n');
+    writeFileSync(join(tempDir, 'token.md'), '# Tokens\n\nRefresh each token daily.\n');
+    files = findMarkdownFiles(tempDir);
+  });
+
+  afterAll(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const search = (query, options = {}) =>
+    grepSearch(files, query, { context: 0, raw: true, ...options })
+      .map((r) => r.file)
+      .sort();
+
+  test('fixed strings match regex characters literally', () => {
+    expect(search('foo(bar)', { fixedStrings: true })).toEqual(['call.md']);
+    expect(search('a.b.c', { fixedStrings: true })).toEqual(['call.md']);
+    expect(search('a.c', { fixedStrings: true })).toEqual([]);
+  });
+
+  test('whole-word mode skips partial words', () => {
+    expect(search('cache')).toEqual(['cache.md']);
+    expect(search('token', { word: true })).toEqual(['token.md']);
+
+    const [result] = grepSearch(files, 'cache', { context: 0, raw: true, word: true });
+    expect(result.matches.map((m) => m.lineNumber)).toEqual([1, 3]);
+  });
+
+  test('several patterns match any by default and all with the all option', () => {
+    expect(search(['foo', 'refresh'])).toEqual(['call.md', 'token.md']);
+    expect(search(['cache', 'token'])).toEqual(['cache.md', 'token.md']);
+    expect(search(['cache', 'token'], { all: true })).toEqual(['cache.md']);
+  });
+
+  test('invert selects non-blank lines matching no pattern', () => {
+    const [result] = grepSearch(files, 'tokens|#', {
+      context: 0,
+      raw: true,
+      invert: true,
+      count: true,
+    }).filter((r) => r.file === 'cache.md');
+    expect(result).toEqual({ file: 'cache.md', count: 1 }); // "Cached entries expire."
+  });
+
+  test('count returns per-file counts of matching lines', () => {
+    const results = grepSearch(files, 'cache|token', { context: 0, raw: true, count: true });
+    expect(results.sort((a, b) => a.file.localeCompare(b.file))).toEqual([
+      { file: 'cache.md', count: 3 },
+      { file: 'token.md', count: 2 },
+    ]);
+  });
+
+  test('files without match lists only files with no matching line', () => {
+    const results = grepSearch(files, 'token', { context: 0, raw: true, filesWithoutMatch: true });
+    expect(results.map((r) => r.file)).toEqual(['call.md']);
+    expect(results[0].matches).toBeUndefined();
+
+    // With --all, files missing any pattern count as without match
+    const all = grepSearch(files, ['cache', 'token'], {
+      context: 0,
+      raw: true,
+      all: true,
+      filesWithoutMatch: true,
+    });
+    expect(all.map((r) => r.file).sort()).toEqual(['call.md', 'token.md']);
+  });
+
+  test('multiline patterns match across lines', () => {
+    expect(search('Cache\\n+The cache')).toEqual([]);
+
+    const [result] = grepSearch(files, '^# Cache\\n+The cache', {
+      context: 0,
+      raw: false,
+      multiline: true,
+    });
+    expect(result.file).toBe('cache.md');
+    expect(result.matches).toHaveLength(1);
+
+    const [match] = result.matches;
+    expect(match.lineNumber).toBe(1);
+    expect(match.endLineNumber).toBe(3);
+    expect(match.line).toBe('# Cache\n\nThe cache stores tokens.');
+    expect(match.highlights).toEqual([{ start: 0, end: 18 }]);
+    expect(match.range.start).toBe(1);
+    expect(match.range.end).toBeGreaterThanOrEqual(3);
+  });
+
+  test('multiline single-line matches keep their line number', () => {
+    const [result] = grepSearch(files, 'expire', { context: 0, raw: true, multiline: true });
+    expect(result.matches.map((m) => [m.lineNumber, m.endLineNumber])).toEqual([[5, undefined]]);
+
+    const counts = grepSearch(files, 'Cache\\n+The', { multiline: true, count: true });
+    expect(counts).toEqual([{ file: 'cache.md', count: 3 }]);
+  });
+
+  test('highlights spans of every pattern', () => {
+    const [result] = grepSearch(files, ['invoke', 'a.b'], {
+      context: 0,
+      raw: true,
+      fixedStrings: true,
+    });
+    const { line, highlights } = result.matches[0];
+    expect(highlights.map(({ start, end }) => line.slice(start, end))).toEqual(['Invoke', 'a.b']);
+  });
+});
+
+// ============================================================================
+// STRUCTURAL SCOPES
+// ============================================================================
+
+describe('grepSearch - Scopes', () => {
+  let tempDir;
+  let files;
+
+  beforeAll(() => {
+    tempDir = join(tmpdir(), `ccmds-grep-scopes-test-${Date.now()}`);
+    mkdirSync(tempDir, { recursive: true });
+    writeFileSync(
+      join(tempDir, 'api.md'),
+      [
+        '---',
+        'title: API v2',
+        'status: draft',
+        '---',
+        '# Upgrading to v2',
+        '',
+        'Call curl against the v2 API, see [the v2 guide](https://example.com/v2).',
+        '',
+        '```bash',
+        'curl https://example.com/v2/users',
+        '```',
+        '',
+        '```js',
+        "fetch('https://example.com/v2') // curl-like",
+        '```',
+        '',
+        '| Version | Status |',
+        '| ------- | ------ |',
+        '| v2      | beta   |',
+        '',
+      ].join('\n')
+    );
+    files = findMarkdownFiles(tempDir);
+  });
+
+  afterAll(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const matchedLines = (query, options) => {
+    const [result] = grepSearch(files, query, { context: 0, raw: true, ...options });
+    return result ? result.matches.map((m) => m.line) : [];
+  };
+
+  test('restricts matches to headings, prose, tables or code', () => {
+    expect(matchedLines('v2', { scopes: ['headings'] })).toEqual(['# Upgrading to v2']);
+    expect(matchedLines('curl', { scopes: ['prose'] })).toEqual([
+      'Call curl against the v2 API, see [the v2 guide](https://example.com/v2).',
+    ]);
+    expect(matchedLines('beta', { scopes: ['tables'] })).toEqual(['| v2      | beta   |']);
+    expect(matchedLines('beta', { scopes: ['prose'] })).toEqual([]);
+    expect(matchedLines('curl', { scopes: ['code'] })).toEqual([
+      'curl https://example.com/v2/users',
+      "fetch('https://example.com/v2') // curl-like",
+    ]);
+  });
+
+  test('lang restricts code matches to one language', () => {
+    expect(matchedLines('curl', { lang: 'bash' })).toEqual(['curl https://example.com/v2/users']);
+    expect(matchedLines('curl', { lang: 'BASH', scopes: ['headings'] })).toEqual([
+      'curl https://example.com/v2/users',
+    ]);
+    expect(matchedLines('curl', { lang: 'python' })).toEqual([]);
+  });
+
+  test('links only match inside links', () => {
+    const [result] = grepSearch(files, 'v2', { context: 0, raw: true, scopes: ['links'] });
+    expect(result.matches).toHaveLength(1);
+
+    const { line, highlights } = result.matches[0];
+    expect(highlights.map(({ start, end }) => line.slice(start, end))).toEqual(['v2', 'v2']);
+    expect(line.slice(0, highlights[0].start)).toContain('[the ');
+  });
+
+  test('frontmatter matches are numbered from the top of the file', () => {
+    const [result] = grepSearch(files, 'draft', { context: 0, raw: true, scopes: ['frontmatter'] });
+    expect(result.matches).toEqual([
+      expect.objectContaining({ lineNumber: 3, line: 'status: draft', headingPath: null }),
+    ]);
+    expect(matchedLines('draft', { scopes: ['prose'] })).toEqual([]);
+  });
+
+  test('scopes combine with multiline, count and invert', () => {
+    // Crossing from a heading into prose leaves the headings scope
+    expect(matchedLines('v2\\n\\nCall', { multiline: true, scopes: ['headings'] })).toEqual([]);
+    expect(matchedLines('v2\\n\\nCall', { multiline: true, scopes: ['headings', 'prose'] })).toHaveLength(1);
+
+    const [counts] = grepSearch(files, 'curl', { scopes: ['code'], count: true });
+    expect(counts.count).toBe(2);
+
+    // Only the code lines without "fetch" are selected
+    const [inverted] = grepSearch(files, 'fetch', { scopes: ['code'], invert: true, count: true });
+    expect(inverted.count).toBe(1);
+  });
+});
+
+describe('grepSearch - Heading Subtrees', () => {
+  let tempDir;
+  let files;
+
+  beforeAll(() => {
+    tempDir = join(tmpdir(), `ccmds-grep-under-test-${Date.now()}`);
+    mkdirSync(tempDir, { recursive: true });
+    writeFileSync(
+      join(tempDir, 'deploy.md'),
+      [
+        '# Deploy',
+        '',
+        'Run deploy --force to skip checks.',
+        '',
+        '## Setup',
+        '',
+        '### Prerequisites',
+        '',
+        'Install the CLI, never with --force.',
+        '',
+        '## Troubleshooting',
+        '',
+        'Retry with --force.',
+        '',
+        '```bash',
+        'deploy --force',
+        '```',
+        '',
+      ].join('\n')
+    );
+    writeFileSync(join(tempDir, 'other.md'), '# Other\n\nUse --force here.\n');
+    files = findMarkdownFiles(tempDir);
+  });
+
+  afterAll(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('only matches inside sections under the heading path', () => {
+    const results = grepSearch(files, '--force', { context: 0, raw: true, under: 'Troubleshooting' });
+
+    expect(results.map((r) => r.file)).toEqual(['deploy.md']);
+    expect(results[0].matches.map((m) => m.lineNumber)).toEqual([13, 16]);
+  });
+
+  test('supports nested heading paths', () => {
+    const [result] = grepSearch(files, '--force', {
+      context: 0,
+      raw: true,
+      under: 'Setup > Prerequisites',
+    });
+
+    expect(result.matches.map((m) => m.line)).toEqual(['Install the CLI, never with --force.']);
+  });
+
+  test('combines with structural scopes and file modes', () => {
+    const [code] = grepSearch(files, '--force', { under: 'Troubleshooting', scopes: ['code'], count: true });
+    expect(code.count).toBe(1);
+
+    const without = grepSearch(files, '--force', { under: 'Troubleshooting', filesWithoutMatch: true });
+    expect(without.map((r) => r.file)).toEqual(['other.md']);
+  });
+});
+
+describe('grepSearch - Safety Limits', () => {
+  let tempDir;
+  let files;
+
+  beforeAll(() => {
+    tempDir = join(tmpdir(), `ccmds-grep-limits-test-${Date.now()}`);
+    mkdirSync(tempDir, { recursive: true });
+    // Each line backtracks exponentially against (a+)+$
+    writeFileSync(join(tempDir, 'generated.md'), `# Generated\n\n${`${'a'.repeat(22)}b\n`.repeat(500)}`);
+    writeFileSync(join(tempDir, 'notes.md'), '# Notes\n\ntodo one\n\ntodo two\n\ntodo three\n');
+    files = findMarkdownFiles(tempDir);
+  });
+
+  afterAll(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('skips files over maxFileSize with a warning', () => {
+    const report = {};
+    const results = grepSearch(files, 'todo', { maxFileSize: 1000, report });
+
+    expect(results.map((r) => r.file)).toEqual(['notes.md']);
+    expect(report.warnings).toEqual([
+      expect.objectContaining({ code: 'file-too-large', file: 'generated.md', limit: 1000 }),
+    ]);
+  });
+
+  test('caps matches per file with a warning', () => {
+    const report = {};
+    const [result] = grepSearch(files, 'todo', { raw: true, context: 0, maxMatchesPerFile: 2, report });
+
+    expect(result.matches.map((m) => m.line)).toEqual(['todo one', 'todo two']);
+    expect(report.warnings).toEqual([
+      expect.objectContaining({ code: 'max-matches', file: 'notes.md', limit: 2, total: 3 }),
+    ]);
+
+    const [counted] = grepSearch(files, 'todo', { count: true, maxMatchesPerFile: 2 });
+    expect(counted.count).toBe(2);
+  });
+
+  test('stops a runaway pattern at the timeout with partial results', () => {
+    const report = {};
+    const started = Date.now();
+    const results = grepSearch(files, '(a+)+$', { timeout: 100, report });
+
+    expect(Date.now() - started).toBeLessThan(5000);
+    expect(results).toEqual([]);
+    expect(report.warnings).toEqual([
+      expect.objectContaining({ code: 'timeout', timeout: 100, searched: 0, file: 'generated.md' }),
+    ]);
+  });
+
+  test('reports no warnings within the limits', () => {
+    const report = {};
+    grepSearch(files, 'todo', { report });
+    expect(report.warnings).toBeUndefined();
+  });
+});
+
+describe('grepSearchParallel', () => {
+  let tempDir;
+  let files;
+
+  beforeAll(() => {
+    tempDir = join(tmpdir(), `ccmds-grep-parallel-test-${Date.now()}`);
+    mkdirSync(tempDir, { recursive: true });
+    // Enough files for several worker chunks
+    for (let i = 0; i < 150; i++) {
+      const name = `doc-${String(i).padStart(3, '0')}.md`;
+      const body = i % 3 === 0 ? 'The widget is ready.' : 'Nothing to see here.';
+      writeFileSync(join(tempDir, name), `---\norder: ${150 - i}\n---\n# Doc ${i}\n\n${body}\n`);
+    }
+    files = findMarkdownFiles(tempDir);
+  });
+
+  afterAll(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('returns the same results in the same order as grepSearch', async () => {
+    const expected = grepSearch(files, 'widget', { context: 1 });
+    const results = await grepSearchParallel(files, 'widget', { context: 1, jobs: 3 });
+
+    expect(results.length).toBe(50);
+    expect(results).toEqual(expected);
+  });
+
+  test('streams results in output order', async () => {
+    const batches = [];
+    const results = await grepSearchParallel(files, 'widget', {
+      count: true,
+      jobs: 2,
+      onResults: (batch) => batches.push(batch),
+    });
+
+    expect(batches.length).toBeGreaterThan(1);
+    expect(batches.flat()).toEqual(results);
+  });
+
+  test('sorts after merging worker results', async () => {
+    const sort = { key: 'fm', field: 'order', descending: false };
+    const expected = grepSearch(files, 'widget', { count: true, sort });
+    const results = await grepSearchParallel(files, 'widget', { count: true, sort, jobs: 2 });
+
+    expect(results).toEqual(expected);
+    expect(results[0].file).toBe('doc-147.md');
+  });
+
+  test('streams chunks on the main thread with one job', async () => {
+    const batches = [];
+    const results = await grepSearchParallel(files, 'widget', {
+      jobs: 1,
+      onResults: (batch) => batches.push(batch),
+    });
+
+    expect(batches.length).toBe(3);
+    expect(batches.flat()).toEqual(results);
+    expect(results).toEqual(grepSearch(files, 'widget', {}));
+  });
+
+  test('terminates workers stuck past the timeout', async () => {
+    const slowDir = join(tempDir, 'slow');
+    mkdirSync(slowDir, { recursive: true });
+    // A single line that takes far longer than the timeout to backtrack
+    writeFileSync(join(slowDir, 'a-generated.md'), `# Generated\n\n${'a'.repeat(40)}b\n`);
+    const slowFiles = [...findMarkdownFiles(slowDir), ...files];
+
+    const report = {};
+    const started = Date.now();
+    const results = await grepSearchParallel(slowFiles, '(a+)+$', { jobs: 2, timeout: 200, report });
+
+    expect(Date.now() - started).toBeLessThan(5000);
+    expect(results).toEqual([]);
+    expect(report.warnings).toEqual([
+      expect.objectContaining({ code: 'timeout', total: slowFiles.length }),
+    ]);
+    // The stopped chunk held many files, so which one was running is not known
+    expect(report.warnings[0].file).toBeUndefined();
+  });
+
+  test('runs a timed search on a worker even with one job and one file', async () => {
+    const slowDir = join(tempDir, 'slow-single');
+    mkdirSync(slowDir, { recursive: true });
+    writeFileSync(join(slowDir, 'one.md'), `${'a'.repeat(60)}b\n`);
+    const slowFiles = findMarkdownFiles(slowDir);
+
+    for (const jobs of [undefined, 1, 2]) {
+      const report = {};
+      const started = Date.now();
+      const results = await grepSearchParallel(slowFiles, '(a+)+$', { jobs, timeout: 100, report });
+
+      expect(Date.now() - started).toBeLessThan(5000);
+      expect(results).toEqual([]);
+      expect(report.warnings).toEqual([
+        expect.objectContaining({ code: 'timeout', searched: 0, total: 1 }),
+      ]);
+    }
+  });
+});
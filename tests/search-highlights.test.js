@@ -0,0 +1,54 @@
+import { describe, test, expect } from 'bun:test';
+import { findPatternHighlights, findTermHighlights } from '../src/cli.js';
+
+// ============================================================================
+// PATTERN HIGHLIGHTS
+// ============================================================================
+
+describe('findPatternHighlights', () => {
+  test('returns the span of every match', () => {
+    expect(findPatternHighlights('Use the token, then refresh the token', /token/i)).toEqual([
+      { start: 8, end: 13 },
+      { start: 32, end: 37 },
+    ]);
+  });
+
+  test('skips empty matches', () => {
+    expect(findPatternHighlights('abc', /x*/)).toEqual([]);
+    expect(findPatternHighlights('', /a/)).toEqual([]);
+  });
+
+  test('does not depend on the regex lastIndex', () => {
+    const regex = /b/g;
+    regex.lastIndex = 2;
+    expect(findPatternHighlights('abab', regex)).toEqual([
+      { start: 1, end: 2 },
+      { start: 3, end: 4 },
+    ]);
+  });
+});
+
+// ============================================================================
+// TERM HIGHLIGHTS
+// ============================================================================
+
+describe('findTermHighlights', () => {
+  test('highlights whole words starting with a term', () => {
+    expect(findTermHighlights('Authentication and auth tokens', ['auth'])).toEqual([
+      { start: 0, end: 14 },
+      { start: 19, end: 23 },
+    ]);
+  });
+
+  test('ignores terms inside words and splits multi-word terms', () => {
+    const text = 'Reauth the rate limit';
+    expect(findTermHighlights(text, ['auth', 'rate limit'])).toEqual([
+      { start: 11, end: 15 },
+      { start: 16, end: 21 },
+    ]);
+  });
+
+  test('returns nothing without terms', () => {
+    expect(findTermHighlights('Some text', [])).toEqual([]);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, test, expect } from 'bun:test';
+import { parseSortSpec, sortResults, resolveOffset } from '../src/cli.js';
+
+// ============================================================================
+// SORT SPECS
+// ============================================================================
+
+describe('parseSortSpec', () => {
+  test('parses keys with default directions', () => {
+    expect(parseSortSpec('score')).toEqual({ key: 'score', descending: false });
+    expect(parseSortSpec('path')).toEqual({ key: 'path', descending: false });
+    expect(parseSortSpec('mtime')).toEqual({ key: 'mtime', descending: true });
+    expect(parseSortSpec('matches')).toEqual({ key: 'matches', descending: true });
+  });
+
+  test('parses frontmatter fields and explicit directions', () => {
+    expect(parseSortSpec('fm.order')).toEqual({ key: 'fm', field: 'order', descending: false });
+    expect(parseSortSpec('fm.meta.rank:desc')).toEqual({ key: 'fm', field: 'meta.rank', descending: true });
+    expect(parseSortSpec('MTIME:asc')).toEqual({ key: 'mtime', descending: false });
+  });
+
+  test('returns null for unknown keys', () => {
+    expect(parseSortSpec('size')).toBeNull();
+    expect(parseSortSpec('path:up')).toBeNull();
+    expect(parseSortSpec('fm.')).toBeNull();
+  });
+});
+
+// ============================================================================
+// SORTING
+// ============================================================================
+
+describe('sortResults', () => {
+  const items = [
+    { name: 'b', order: 10 },
+    { name: 'a', order: 2 },
+    { name: 'c' },
+    { name: 'd', order: 2 },
+  ];
+  const byOrder = (item) => item.order;
+
+  test('sorts numbers numerically and keeps ties in order', () => {
+    const sorted = sortResults(items, { key: 'fm', descending: false }, byOrder);
+    expect(sorted.map((i) => i.name)).toEqual(['a', 'd', 'b', 'c']);
+  });
+
+  test('missing values sort last in both directions', () => {
+    const sorted = sortResults(items, { key: 'fm', descending: true }, byOrder);
+    expect(sorted.map((i) => i.name)).toEqual(['b', 'a', 'd', 'c']);
+  });
+
+  test('compares strings naturally and dates as YYYY-MM-DD', () => {
+    const files = [{ v: 'doc10' }, { v: 'doc2' }, { v: new Date('2025-01-01') }];
+    const sorted = sortResults(files, { key: 'path', descending: false }, (i) => i.v);
+    expect(sorted.map((i) => String(i.v instanceof Date ? 'date' : i.v))).toEqual(['date', 'doc2', 'doc10']);
+  });
+
+  test('does not modify the input', () => {
+    const copy = [...items];
+    sortResults(items, { key: 'fm', descending: false }, byOrder);
+    expect(items).toEqual(copy);
+  });
+});
+
+describe('resolveOffset', () => {
+  test('prefers an explicit offset', () => {
+    expect(resolveOffset({ offset: 5, page: 3, limit: 10 })).toBe(5);
+  });
+
+  test('derives the offset from page and limit', () => {
+    expect(resolveOffset({ page: 3, limit: 10 })).toBe(20);
+    expect(resolveOffset({ page: 1, limit: 10 })).toBe(0);
+    expect(resolveOffset({})).toBe(0);
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, test, expect } from 'bun:test';
+import {
+  suggestTerms,
+  suggestHeadings,
+  buildSuggestions,
+  buildCorpusStats,
+} from '../src/cli.js';
+
+const makeDoc = (id, fields) => ({
+  id,
+  file: id,
+  title: '',
+  description: '',
+  tags: '',
+  body: '',
+  ...fields,
+});
+
+const documents = [
+  makeDoc('deploy.md', {
+    title: 'Deployment',
+    body: '# Deployment\n\n## Kubernetes Cluster\n\nDeploy to the cluster.\n\n## Rollback\n\nUndo a release.\n',
+  }),
+  makeDoc('auth.md', {
+    title: 'Authentication',
+    body: '# Authentication\n\n## Tokens\n\nIssue access tokens.\n',
+  }),
+];
+
+// ============================================================================
+// TERM SUGGESTIONS
+// ============================================================================
+
+describe('suggestTerms', () => {
+  const { vocabulary } = buildCorpusStats(documents);
+
+  test('suggests close indexed words', () => {
+    expect(suggestTerms(['clustr'], vocabulary)).toEqual(['cluster']);
+    expect(suggestTerms(['tokes'], vocabulary)).toContain('tokens');
+  });
+
+  test('does not suggest words the term already matches', () => {
+    expect(suggestTerms(['deploy'], vocabulary)).not.toContain('deployment');
+  });
+
+  test('respects the limit', () => {
+    expect(suggestTerms(['a'], vocabulary, 2).length).toBeLessThanOrEqual(2);
+  });
+});
+
+// ============================================================================
+// HEADING SUGGESTIONS
+// ============================================================================
+
+describe('suggestHeadings', () => {
+  test('returns headings mentioning the words, best match first', () => {
+    expect(suggestHeadings(['kubernetes', 'cluster'], documents)).toEqual([
+      { file: 'deploy.md', heading: 'Kubernetes Cluster' },
+    ]);
+    expect(suggestHeadings(['roll'], documents)).toEqual([
+      { file: 'deploy.md', heading: 'Rollback' },
+    ]);
+  });
+
+  test('uses section titles for section documents', () => {
+    const sections = [
+      makeDoc('auth.md#L3', { file: 'auth.md', title: 'Tokens', range: { start: 3, end: 5 } }),
+    ];
+    expect(suggestHeadings(['token'], sections)).toEqual([
+      { file: 'auth.md', heading: 'Tokens' },
+    ]);
+  });
+});
+
+describe('buildSuggestions', () => {
+  const stats = buildCorpusStats(documents);
+
+  test('combines term and heading suggestions', () => {
+    expect(buildSuggestions(['clustr'], documents, stats)).toEqual({
+      terms: ['cluster'],
+      headings: [{ file: 'deploy.md', heading: 'Kubernetes Cluster' }],
+    });
+  });
+
+  test('returns null when there is nothing to suggest', () => {
+    expect(buildSuggestions(['zzzzzzzz'], documents, stats)).toBeNull();
+    expect(buildSuggestions([], documents, stats)).toBeNull();
+  });
+});
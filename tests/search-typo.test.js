@@ -0,0 +1,62 @@
+import { describe, test, expect } from 'bun:test';
+import { editDistance, correctTerm } from '../src/cli.js';
+
+// ============================================================================
+// EDIT DISTANCE
+// ============================================================================
+
+describe('editDistance', () => {
+  test('counts insertions, deletions and substitutions', () => {
+    expect(editDistance('kubernets', 'kubernetes')).toBe(1);
+    expect(editDistance('kubernetes', 'kubernets')).toBe(1);
+    expect(editDistance('token', 'taken')).toBe(1);
+    expect(editDistance('same', 'same')).toBe(0);
+  });
+
+  test('counts an adjacent transposition as one edit', () => {
+    expect(editDistance('autehntication', 'authentication')).toBe(1);
+  });
+
+  test('stops early above the maximum distance', () => {
+    expect(editDistance('abc', 'xyzxyz', 2)).toBe(3);
+    expect(editDistance('install', 'uninstalled', 1)).toBe(2);
+  });
+});
+
+// ============================================================================
+// TERM CORRECTION
+// ============================================================================
+
+describe('correctTerm', () => {
+  const vocabulary = new Map([
+    ['authentication', new Set(['a.md', 'b.md'])],
+    ['authorization', new Set(['a.md'])],
+    ['kubernetes', new Set(['b.md'])],
+    ['cat', new Set(['a.md'])],
+    ['car', new Set(['a.md', 'b.md'])],
+  ]);
+
+  test('corrects misspelled terms to the closest token', () => {
+    expect(correctTerm('authentcation', vocabulary, 0.4)).toBe('authentication');
+    expect(correctTerm('Kubernets', vocabulary, 0.4)).toBe('kubernetes');
+  });
+
+  test('leaves terms that match a token prefix alone', () => {
+    expect(correctTerm('auth', vocabulary, 0.4)).toBeNull();
+    expect(correctTerm('kubernetes', vocabulary, 0.4)).toBeNull();
+  });
+
+  test('prefers the more frequent token on equal distance', () => {
+    expect(correctTerm('cax', vocabulary, 0.4)).toBe('car');
+  });
+
+  test('threshold bounds the allowed edits', () => {
+    expect(correctTerm('kubernets', vocabulary, 0)).toBeNull();
+    expect(correctTerm('kubrnets', vocabulary, 0.1)).toBeNull();
+    expect(correctTerm('kubrnets', vocabulary, 0.4)).toBe('kubernetes');
+  });
+
+  test('returns null when nothing is close enough', () => {
+    expect(correctTerm('zzzzzz', vocabulary, 0.4)).toBeNull();
+  });
+});
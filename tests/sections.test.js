@@ -1,5 +1,11 @@
 import { describe, test, expect } from 'bun:test';
-import { extractSection, extractHeadings } from '../src/cli.js';
+import {
+  extractSection,
+  extractHeadings,
+  parseHeadingPath,
+  matchesHeadingPath,
+  findSectionRanges,
+} from '../src/cli.js';
 
 // ============================================================================
 // SECTION EXTRACTION
@@ -93,3 +99,64 @@ describe('extractSection', () => {
     expect(section).toContain('# UPPER CASE');
   });
 });
+
+// ============================================================================
+// HEADING PATHS
+// ============================================================================
+
+describe('parseHeadingPath / matchesHeadingPath', () => {
+  test('splits paths and ignores leading #s and case', () => {
+    expect(parseHeadingPath('## Setup > ### Prerequisites')).toEqual(['setup', 'prerequisites']);
+    expect(parseHeadingPath('Troubleshooting')).toEqual(['troubleshooting']);
+  });
+
+  test('matches parts in order, skipping intermediate headings', () => {
+    const parts = parseHeadingPath('Setup > Prerequisites');
+    expect(matchesHeadingPath(['Setup', 'Prerequisites'], parts)).toBe(true);
+    expect(matchesHeadingPath(['Setup', 'Linux', 'Prerequisites', 'Tools'], parts)).toBe(true);
+    expect(matchesHeadingPath(['Prerequisites', 'Setup'], parts)).toBe(false);
+    expect(matchesHeadingPath(['Setup'], parts)).toBe(false);
+    expect(matchesHeadingPath([], [])).toBe(false);
+  });
+});
+
+describe('findSectionRanges', () => {
+  const lines = [
+    '# Guide',
+    '## Setup',
+    '### Prerequisites',
+    'Node.js',
+    '#### Optional',
+    'Docker',
+    '### Install',
+    'npm install',
+    '## Troubleshooting',
+    '### Prerequisites',
+    'Check versions',
+  ];
+  const headings = extractHeadings(lines);
+
+  test('returns every section under the path', () => {
+    expect(findSectionRanges(lines, headings, 'Prerequisites')).toEqual([
+      { start: 2, end: 6 },
+      { start: 9, end: 11 },
+    ]);
+  });
+
+  test('respects parent headings in the path', () => {
+    expect(findSectionRanges(lines, headings, 'Setup > Prerequisites')).toEqual([
+      { start: 2, end: 6 },
+    ]);
+    expect(findSectionRanges(lines, headings, 'Troubleshooting > Prerequisites')).toEqual([
+      { start: 9, end: 11 },
+    ]);
+  });
+
+  test('merges nested matches into their parent section', () => {
+    expect(findSectionRanges(lines, headings, 'Guide')).toEqual([{ start: 0, end: 11 }]);
+  });
+
+  test('returns no ranges when nothing matches', () => {
+    expect(findSectionRanges(lines, headings, 'Deployment')).toEqual([]);
+  });
+});
@@ -0,0 +1,22 @@
+import { describe, test, expect } from 'bun:test';
+import { isVersionRequest } from '../src/cli.js';
+
+// ============================================================================
+// VERSION FLAG
+// ============================================================================
+
+describe('isVersionRequest', () => {
+  const argv = (...args) => ['bun', 'ccmds', ...args];
+
+  test('detects version flags before the subcommand', () => {
+    expect(isVersionRequest(argv('-v'))).toBe(true);
+    expect(isVersionRequest(argv('--version'))).toBe(true);
+    expect(isVersionRequest(argv('--config', 'x.json', '-v'))).toBe(true);
+  });
+
+  test('ignores -v after a subcommand', () => {
+    expect(isVersionRequest(argv('grep', 'TODO', '-v'))).toBe(false);
+    expect(isVersionRequest(argv('find', 'auth'))).toBe(false);
+    expect(isVersionRequest(argv())).toBe(false);
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, test, expect } from 'bun:test';
+import { availableParallelism, tmpdir } from 'os';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { pathToFileURL } from 'url';
+import {
+  findMarkdownFiles,
+  resolveJobs,
+  createWorkerPool,
+  runChunked,
+  parseIndexDocuments,
+} from '../src/cli.js';
+import { FIXTURES_DIR } from './helpers/index.js';
+
+// ============================================================================
+// WORKER POOL
+// ============================================================================
+
+describe('resolveJobs', () => {
+  test('defaults to the main thread', () => {
+    expect(resolveJobs(undefined)).toBe(1);
+  });
+
+  test('uses every CPU for 0 or "auto"', () => {
+    expect(resolveJobs(0)).toBe(availableParallelism());
+    expect(resolveJobs('auto')).toBe(availableParallelism());
+  });
+
+  test('keeps explicit counts of at least one', () => {
+    expect(resolveJobs(4)).toBe(4);
+    expect(resolveJobs('2')).toBe(2);
+    expect(resolveJobs(-3)).toBe(1);
+  });
+});
+
+describe('runChunked', () => {
+  const files = findMarkdownFiles(FIXTURES_DIR);
+
+  test('returns chunk results in input order', async () => {
+    const pool = createWorkerPool(2);
+    const chunks = [];
+    try {
+      const results = await runChunked(pool, 'index-documents', files, {
+        payload: { sections: false },
+        chunkSize: 2,
+        onChunk: (result, chunk) => chunks.push(chunk),
+      });
+
+      expect(results.flat()).toEqual(parseIndexDocuments(files, false));
+      expect(chunks.flat()).toEqual(files);
+    } finally {
+      await pool.close();
+    }
+  });
+
+  test('rejects unknown tasks unless onError handles them', async () => {
+    const pool = createWorkerPool(1);
+    try {
+      await expect(runChunked(pool, 'nope', files)).rejects.toThrow('Unknown worker task: nope');
+
+      const results = await runChunked(pool, 'nope', files.slice(0, 3), {
+        chunkSize: 1,
+        onError: (err, chunk) => chunk[0].relativePath,
+      });
+      expect(results).toEqual(files.slice(0, 3).map((file) => file.relativePath));
+    } finally {
+      await pool.close();
+    }
+  });
+
+  test('fails the running task when a worker exits without an error', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'ccmds-worker-test-'));
+    const script = join(dir, 'exit-worker.js');
+    writeFileSync(
+      script,
+      "import { parentPort } from 'worker_threads';\nparentPort.on('message', () => process.exit(3));\n"
+    );
+    const pool = createWorkerPool(1, { url: pathToFileURL(script) });
+    try {
+      await expect(pool.run('anything', {})).rejects.toThrow('Worker exited with code 3');
+      // The next task gets a fresh worker instead of waiting forever
+      await expect(pool.run('anything', {})).rejects.toThrow('Worker exited with code 3');
+    } finally {
+      await pool.close();
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('rejects tasks on a closed pool', async () => {
+    const pool = createWorkerPool(1);
+    await pool.close();
+    await expect(pool.run('index-documents', { items: [] })).rejects.toThrow('Worker pool is closed');
+  });
+});